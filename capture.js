@@ -0,0 +1,56 @@
+// capture.js
+// Records UC traffic to a file so problems seen at a venue can be replayed offline. One JSON
+// object per line: { time, direction: 'in'|'out', transport: 'tcp'|'udp', data: hex }, where
+// time is milliseconds since the epoch and data holds the bytes exactly as they hit the socket.
+const fs = require('fs');
+
+class CaptureRecorder {
+  constructor(file) {
+    this.file = file;
+    this.frameCount = 0;
+    this.stream = fs.createWriteStream(file, { flags: 'a' });
+  }
+
+  record(direction, transport, data) {
+    if (!this.stream) {
+      return;
+    }
+    this.stream.write(JSON.stringify({ time: Date.now(), direction, transport, data: data.toString('hex') }) + '\n');
+    this.frameCount++;
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      if (!this.stream) {
+        resolve();
+        return;
+      }
+      this.stream.end(resolve);
+      this.stream = null;
+    });
+  }
+}
+
+// Reads a capture file back. Returns [{ time, direction, transport, data }] with data as a Buffer.
+// Lines that cannot be read (e.g. the last one of a capture cut short) are skipped.
+function readCapture(file) {
+  const frames = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (line.trim() === '') {
+      continue;
+    }
+    let frame;
+    try {
+      frame = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+    if (typeof frame.data !== 'string') {
+      continue;
+    }
+    frames.push({ ...frame, data: Buffer.from(frame.data, 'hex') });
+  }
+  return frames;
+}
+
+module.exports = { CaptureRecorder, readCapture };
@@ -2,94 +2,1015 @@
 const { InstanceBase, Regex, runEntrypoint, combineRgb} = require('@companion-module/base');
 const net = require('net');
 const dgram = require('dgram');
-const zlib = require('zlib');
+const os = require('os');
+const crypto = require('crypto');
+const { join } = require('path');
+const { ParameterStore } = require('./store');
+const { PacketReader, encodePacket, decodePacket, decodePackets, hasValidHeader } = require('./protocol');
+const { CaptureRecorder, readCapture } = require('./capture');
+
+const UC_TCP_PORT = 49162;
+const UC_DISCOVERY_PORT = 47809; // UC hosts broadcast a DA packet here every few seconds
+const DEFAULT_DEVICE_ADDRESS = 0x66; // Address of the first device behind a UC host
+const CLIENT_ADDRESS = 0x68; // Our side of the address pair
+const DISCOVERY_EXPIRY = 30000; // Forget devices that have not been heard from for 30 seconds
+const HEARTBEAT_INTERVAL = 2000; // Send a KA packet every 2 seconds
+const HEARTBEAT_TIMEOUT = 10000; // Consider the link dead after 10 seconds without any data
+const RECONNECT_DELAY_MIN = 1000;
+const RECONNECT_DELAY_MAX = 30000;
+const WRITE_CONFIRM_TIMEOUT = 1000; // How long the console has to echo a value we sent
+const WRITE_RETRIES = 2; // Resends of an unconfirmed value before it is rolled back
+const SNAPSHOT_TIMEOUT = 3000; // How long to wait for a requested ZM snapshot
+const RESYNC_DIFF_LOG_LIMIT = 20; // Changed parameters listed individually in the resync report
+const PHANTOM_CONFIRM_WINDOW = 3000; // Time to press again when 48V changes need a confirm press
+const PHANTOM_HOLD_TIME = 1500; // Time to hold the button when 48V changes need a hold
+const SYSTEM_CONFIRM_WINDOW = 3000; // Time to press again to confirm a sample rate or clock change
+
+// Preset files UC keeps on the host, listed with FR requests and recalled/stored with JM messages
+const PRESET_TYPES = {
+  project: { label: 'Project', listPath: 'Listpresets/proj', folder: 'presets/proj' },
+  scene: { label: 'Scene', listPath: 'Listpresets/scene', folder: 'presets/scene' },
+};
+
+const METER_INTERVAL_DEFAULT = 100; // Minimum time between meter feedback redraws
+const METER_VARIABLE_INTERVAL = 500; // Meter variables change less often to keep the variable traffic down
+const METER_PEAK_HOLD = 2000;
+const METER_CLIP_LEVEL = 0.99; // Linear amplitude treated as a clip (about -0.1 dBFS)
+const METER_DB_FLOOR = -60;
+const METER_STALE_TIME = 1000; // Meters are cleared when no meter data has arrived for this long
+
+// Meter blocks in MS packets, keyed by the 4 character id UC puts in front of each block
+const METER_SECTIONS = {
+  levl: 'input', // Channel input, pre-fader
+  pfdr: 'post', // Channel post-fader
+  busl: 'bus', // Aux, FX and main buses
+};
+
+// Gain reduction blocks in MS packets, one value per channel, 0 = no reduction
+const GAIN_REDUCTION_SECTIONS = {
+  gtrd: 'gate',
+  cprd: 'comp',
+};
+
+const METER_TYPES = [
+  { id: 'input', label: 'Channel Input', variablePrefix: 'meter_in' },
+  { id: 'post', label: 'Channel Post-Fader', variablePrefix: 'meter_post' },
+  { id: 'bus', label: 'Bus', variablePrefix: 'meter_bus' },
+];
+
+const PATH_CHOICES_DELAY = 2000; // New paths are collected this long before the path dropdowns are re-published
+const PATH_CHOICES_LIMIT = 500; // Most paths offered in a path dropdown; others can still be typed in
+const FADE_STEP_INTERVAL = 50; // Send a PV packet every 50 ms (20 per second) while fading
+const FADE_ECHO_WINDOW = 2000; // How long after sending a fade step its echo may still arrive
+const FADER_DB_MIN = -84; // Anything at or below this is treated as -inf
+const FADER_DB_MAX = 10;
+
+// Approximate UC fader taper: [float position, dB]
+const FADER_TAPER = [
+  [0.0, -84],
+  [0.05, -70],
+  [0.1, -60],
+  [0.2, -45],
+  [0.3, -34],
+  [0.4, -25],
+  [0.5, -17],
+  [0.6, -10],
+  [0.7, -3],
+  [0.75, 0],
+  [0.8, 2],
+  [0.9, 6],
+  [1.0, 10],
+];
+
+// Boolean channel parameters under line/chN/. Declaring one here wires up PV handling,
+// feedback refreshes, variables and the toggle helpers.
+const CHANNEL_FLAGS = [
+  { id: 'mute', label: 'Mute', feedback: 'channel_mute_state' },
+  { id: 'solo', label: 'Solo', feedback: 'channel_solo_state' },
+  { id: '48v', label: '48V', feedback: 'channel_48v_state' },
+  { id: 'hpf', label: 'HPF', feedback: 'channel_hpf_state' },
+  { id: 'pad', label: 'Pad', feedback: 'channel_pad_state' },
+];
+
+// Continuous input controls under line/chN/. UC reports them normalised to 0..1 across the
+// console's range, given here in display units. limitKey names the config fields that narrow it,
+// limitMin/limitMax are their defaults (also used when an older config lacks the fields).
+// Paths and ranges are not verified on a real device; see Unverified parameters in HELP.md.
+const CHANNEL_CONTROLS = {
+  gain: { path: 'preampgain', label: 'Preamp Gain', unit: 'dB', min: 0, max: 60, default: 0, limitKey: 'gain', limitMin: 0, limitMax: 50 },
+  trim: { path: 'trim', label: 'Digital Trim', unit: 'dB', min: -20, max: 20, default: 0, limitKey: 'trim', limitMin: -12, limitMax: 12 },
+  pan: { path: 'pan', label: 'Pan', unit: '%', min: -100, max: 100, default: 0 },
+};
+const CONTROL_STEP_LIMIT_DEFAULT = 6; // Largest change one step action may make, in dB
+
+// Fat Channel sections under line/chN/. match is a regex source for the parameter paths that
+// belong to a section (used for copy and recall), onPath the block's enable switch.
+const FAT_CHANNEL_SECTIONS = {
+  hpf: { label: 'High-Pass Filter', match: 'hpf|filter/.+' },
+  gate: { label: 'Gate', match: 'gate/.+', onPath: 'gate/on' },
+  comp: { label: 'Compressor', match: 'comp/.+', onPath: 'comp/on' },
+  eq: { label: 'EQ', match: 'eq/.+', onPath: 'eq/eqallon' },
+  limiter: { label: 'Limiter', match: 'limit/.+', onPath: 'limit/limiteron' },
+};
+// The section paths and the HPF scaling are not verified on a real device; see Unverified
+// parameters in HELP.md.
+const HPF_FREQ_PATH = 'filter/hpf';
+const HPF_FREQ_MIN = 20; // Hz at 0.0, the HPF frequency is on a log scale
+const HPF_FREQ_MAX = 1000; // Hz at 1.0
+
+// Boolean parameters under global/
+const GLOBAL_FLAGS = [
+  { id: 'mixerBypass', variableId: 'mixer_bypass', label: 'Mixer Bypass', feedback: 'mixer_bypass_state' },
+  // Monitor section switches of Quantum-series interfaces
+  { id: 'monitorDim', variableId: 'monitor_dim', label: 'Monitor Dim', feedback: 'monitor_switch_state', monitor: true },
+  { id: 'monitorMute', variableId: 'monitor_mute', label: 'Monitor Mute', feedback: 'monitor_switch_state', monitor: true },
+  { id: 'monitorMono', variableId: 'monitor_mono', label: 'Monitor Mono', feedback: 'monitor_switch_state', monitor: true },
+  { id: 'talkback', variableId: 'talkback', label: 'Talkback', feedback: 'monitor_switch_state', monitor: true },
+];
+
+// Monitor section levels of Quantum-series interfaces. UC reports them normalised, 0.0 = off
+// and 1.0 = 0 dB, linear in dB down to MONITOR_DB_MIN. Like the monitor switches and headphone
+// sources, paths and scaling are not verified on a real device; see Unverified parameters in HELP.md.
+const MONITOR_LEVELS = [
+  { id: 'monitor', path: 'global/monitorLevel', label: 'Main Monitor', variableId: 'monitor_level' },
+  { id: 'phones1', path: 'global/phones1Level', label: 'Headphones 1', variableId: 'phones1_level' },
+  { id: 'phones2', path: 'global/phones2Level', label: 'Headphones 2', variableId: 'phones2_level' },
+];
+const MONITOR_DB_MIN = -80;
+const SPEAKER_SELECT_PATH = 'global/speakerSelect';
+const SPEAKER_CHOICES = [
+  { id: 0, label: 'Speakers A' },
+  { id: 1, label: 'Speakers B' },
+];
+// Device system parameters. Sample rate and clock source are reported as an index into the
+// lists below, sync lock as 1 (locked) or 0. Paths and encoding are not verified on a real
+// device; see Unverified parameters in HELP.md.
+const SAMPLE_RATE_PATH = 'global/sampleRate';
+const CLOCK_SOURCE_PATH = 'global/clockSource';
+const SYNC_LOCK_PATH = 'global/syncLock';
+const SAMPLE_RATES = [44100, 48000, 88200, 96000, 176400, 192000];
+const CLOCK_SOURCES = ['Internal', 'Word Clock', 'S/PDIF', 'ADAT 1', 'ADAT 2'];
+const SYSTEM_INFO = [
+  { path: 'global/firmwareVersion', variableId: 'firmware_version', label: 'Firmware Version' },
+  { path: 'global/model', variableId: 'device_model', label: 'Device Model', discovered: 'model' },
+  { path: 'global/serial', variableId: 'device_serial', label: 'Device Serial Number', discovered: 'serial' },
+];
+
+const HEADPHONE_OUTPUTS = [1, 2];
+// Headphone sources, by the index UC uses for global/phonesNSource
+const HEADPHONE_SOURCES = [
+  { id: 0, label: 'Main Mix' },
+  { id: 1, label: 'Mix 1' },
+  { id: 2, label: 'Mix 2' },
+  { id: 3, label: 'Mix 3' },
+  { id: 4, label: 'Mix 4' },
+];
+
+const FADER_BUSES = [
+  { id: 'line', label: 'Input Channel' },
+  { id: 'aux', label: 'Aux Bus' },
+  { id: 'fx', label: 'FX Bus' },
+  { id: 'fxreturn', label: 'FX Return' },
+  { id: 'main', label: 'Main' },
+  { id: 'filtergroup', label: 'DCA Group' },
+];
+
+// Channel groups. Group state lives under <prefix>/chN/, and a channel's membership of group N
+// is reported as line/chM/<prefix>N (non-zero when assigned).
+const GROUP_TYPES = {
+  dca: { label: 'DCA Group', prefix: 'filtergroup', variablePrefix: 'dca' },
+  mutegroup: { label: 'Mute Group', prefix: 'mutegroup', variablePrefix: 'mutegroup' },
+};
+
+const FADE_CURVES = {
+  linear: (t) => t,
+  log: (t) => Math.log10(1 + 9 * t),
+  scurve: (t) => 0.5 - 0.5 * Math.cos(Math.PI * t),
+};
+
+function formatDb(pos) {
+  if (typeof pos !== 'number') {
+    return '';
+  }
+  const db = floatToDb(pos);
+  return db <= FADER_DB_MIN ? '-inf' : db.toFixed(1);
+}
+
+// Compares a stored parameter value against a value typed into a feedback option
+function compareParameterValue(current, comparison, expected) {
+  let target = String(expected).trim();
+  if (target === 'true') {
+    target = 1;
+  } else if (target === 'false') {
+    target = 0;
+  } else if (typeof current === 'number' && target !== '' && !isNaN(Number(target))) {
+    target = Number(target);
+  }
+
+  if (typeof current === 'number' && typeof target === 'number') {
+    switch (comparison) {
+      case 'ne':
+        return Math.abs(current - target) > 0.0001;
+      case 'gt':
+        return current > target;
+      case 'gte':
+        return current >= target;
+      case 'lt':
+        return current < target;
+      case 'lte':
+        return current <= target;
+      default:
+        // Floats come back from the console with rounding noise
+        return Math.abs(current - target) <= 0.0001;
+    }
+  }
+
+  switch (comparison) {
+    case 'ne':
+      return String(current) !== String(target);
+    case 'eq':
+      return String(current) === String(target);
+    default:
+      return false;
+  }
+}
+
+// Preset listings come back either as a JSON array (of names or { name } objects) or as one file per line
+function parsePresetList(text) {
+  let entries;
+  try {
+    entries = JSON.parse(text);
+  } catch (error) {
+    entries = text.split(/\r?\n/);
+  }
+  if (!Array.isArray(entries)) {
+    entries = entries.files || entries.children || [];
+  }
+  return entries
+    .map((entry) => (typeof entry === 'string' ? entry : entry && (entry.name || entry.file)))
+    .filter((name) => typeof name === 'string' && name.trim() !== '')
+    .map((name) => name.trim());
+}
+
+// Converts a linear meter amplitude (0..1) to dBFS, floored at METER_DB_FLOOR
+function meterToDb(value) {
+  if (!(value > 0)) {
+    return METER_DB_FLOOR;
+  }
+  return Math.max(20 * Math.log10(value), METER_DB_FLOOR);
+}
+
+// Best effort device name from a ZM snapshot tree
+function getSnapshotDeviceName(jsonData) {
+  const globalValues = (jsonData && jsonData.children && jsonData.children.global && jsonData.children.global.values) || {};
+  return globalValues.devicename || globalValues.deviceName || (jsonData && jsonData.values && jsonData.values.name) || '';
+}
+
+// Channel colors arrive as hex strings ('#rrggbb' or 'rrggbbaa') or as a packed number.
+// Returns { r, g, b } or null if the value cannot be read.
+function parseChannelColor(value) {
+  if (typeof value === 'number' && value >= 0) {
+    return { r: (value >> 16) & 0xff, g: (value >> 8) & 0xff, b: value & 0xff };
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const match = value.trim().match(/^#?([0-9a-f]{6})([0-9a-f]{2})?$/i);
+  if (!match) {
+    return null;
+  }
+  const rgb = parseInt(match[1], 16);
+  return { r: (rgb >> 16) & 0xff, g: (rgb >> 8) & 0xff, b: rgb & 0xff };
+}
+
+function formatHexColor({ r, g, b }) {
+  return '#' + [r, g, b].map((component) => component.toString(16).padStart(2, '0')).join('');
+}
+
+function dbToFloat(db) {
+  if (db <= FADER_DB_MIN) {
+    return 0;
+  }
+  if (db >= FADER_DB_MAX) {
+    return 1;
+  }
+  for (let i = 1; i < FADER_TAPER.length; i++) {
+    const [pos, value] = FADER_TAPER[i];
+    if (db <= value) {
+      const [prevPos, prevValue] = FADER_TAPER[i - 1];
+      return prevPos + ((db - prevValue) / (value - prevValue)) * (pos - prevPos);
+    }
+  }
+  return 1;
+}
+
+function floatToDb(pos) {
+  if (pos <= 0) {
+    return -Infinity;
+  }
+  if (pos >= 1) {
+    return FADER_DB_MAX;
+  }
+  for (let i = 1; i < FADER_TAPER.length; i++) {
+    const [value, db] = FADER_TAPER[i];
+    if (pos <= value) {
+      const [prevValue, prevDb] = FADER_TAPER[i - 1];
+      return prevDb + ((pos - prevValue) / (value - prevValue)) * (db - prevDb);
+    }
+  }
+  return FADER_DB_MAX;
+}
+
+function controlToFloat(control, value) {
+  return (value - control.min) / (control.max - control.min);
+}
+
+function floatToControl(control, pos) {
+  return control.min + pos * (control.max - control.min);
+}
+
+function hzToHpf(hz) {
+  const limited = Math.min(Math.max(hz, HPF_FREQ_MIN), HPF_FREQ_MAX);
+  return Math.log(limited / HPF_FREQ_MIN) / Math.log(HPF_FREQ_MAX / HPF_FREQ_MIN);
+}
+
+function hpfToHz(pos) {
+  return HPF_FREQ_MIN * Math.pow(HPF_FREQ_MAX / HPF_FREQ_MIN, pos);
+}
+
+function monitorToDb(pos) {
+  return pos <= 0 ? -Infinity : MONITOR_DB_MIN * (1 - Math.min(pos, 1));
+}
+
+function dbToMonitor(db) {
+  return db <= MONITOR_DB_MIN ? 0 : Math.min(1 - db / MONITOR_DB_MIN, 1);
+}
+
+function formatMonitorDb(pos) {
+  if (typeof pos !== 'number') {
+    return '';
+  }
+  return pos <= 0 ? '-inf' : monitorToDb(pos).toFixed(1);
+}
+
+// Pan as L/R percent, e.g. 'L50', 'C', 'R25'
+function formatPan(percent) {
+  const rounded = Math.round(percent);
+  if (rounded === 0) {
+    return 'C';
+  }
+  return rounded < 0 ? `L${-rounded}` : `R${rounded}`;
+}
+
+// Reads the channel sets from the config, e.g. 'band=1-16; vocals=17-20,24' => { band: '1-16', ... }
+function parseChannelSets(text) {
+  const sets = {};
+  for (const entry of (text || '').split(/[;\n]/)) {
+    const match = entry.match(/^\s*([^=]+?)\s*=\s*(.+?)\s*$/);
+    if (match) {
+      sets[match[1].toLowerCase()] = match[2];
+    }
+  }
+  return sets;
+}
+
+// Expands a channel list such as '1-8,12,15', 'all' or a set name into sorted channel numbers.
+// Returns { channels, errors } where errors lists the parts that could not be read.
+function parseChannelList(spec, sets, allChannels, nested = false) {
+  const channels = new Set();
+  const errors = [];
+
+  for (const token of String(spec).split(/[\s,]+/).filter((part) => part !== '')) {
+    const name = token.toLowerCase();
+    const range = token.match(/^(\d+)(?:-(\d+))?$/);
+    if (range) {
+      const from = parseInt(range[1], 10);
+      const to = range[2] !== undefined ? parseInt(range[2], 10) : from;
+      if (Math.min(from, to) < 1 || Math.max(from, to) > 100) {
+        errors.push(token);
+        continue;
+      }
+      for (let channel = Math.min(from, to); channel <= Math.max(from, to); channel++) {
+        channels.add(channel);
+      }
+    } else if (name === 'all') {
+      allChannels.forEach((channel) => channels.add(channel));
+    } else if (sets[name] !== undefined && !nested) {
+      // Sets may use ranges and 'all', but not other sets
+      const result = parseChannelList(sets[name], sets, allChannels, true);
+      result.channels.forEach((channel) => channels.add(channel));
+      errors.push(...result.errors);
+    } else {
+      errors.push(token);
+    }
+  }
+
+  return { channels: Array.from(channels).sort((a, b) => a - b), errors };
+}
 
 class UCControlInstance extends InstanceBase {
   constructor(internal) {
     super(internal);
 
     this.config = {};
-    this.channelStates = {}; // Store channel states
-    this.mixerBypassState = false; //assumes begins in not-bypassed state
-    this.receiveBuffer = Buffer.alloc(0); // For TCP data accumulation
+    this.store = new ParameterStore(); // Every parameter value the console reports, keyed by path
+    this.activeFades = {}; // Running fades keyed by volume path: { timer, sent: [{ value, time }] }
+    this.interruptedFades = {}; // Fades stopped by a console move: { value: the console's, sent, until }
+    this.variableChannels = []; // Channel numbers that currently have variable definitions
+    this.variableAuxes = []; // Aux bus numbers that currently have send variable definitions
+    this.variableGroups = { dca: [], mutegroup: [] }; // Group numbers with variable definitions, per group type
+    this.sendsOnFaderAux = 0; // Aux bus the channel fader actions are redirected to, 0 when off
+    this.knownPathCount = 0; // Number of store paths offered in the path dropdowns
+    this.newChannelPaths = false; // A line channel path arrived since the last path choices update
+    this.pathChoicesTimer = null; // Pending re-publish of the path dropdowns
+    this.parameterFeedbacks = {}; // Path watched by each parameter_value feedback, keyed by feedback id
+    this.presetLists = { project: [], scene: [] }; // File names reported by UC, per preset type
+    this.activePreset = { project: '', scene: '' }; // Last recalled file, per preset type
+    this.fileRequests = {}; // Outstanding FR requests keyed by request id
+    this.nextFileRequestId = 1;
+    this.presetListTimer = null; // Delayed list refresh after storing a preset
+    this.meters = { input: [], post: [], bus: [] }; // Latest linear meter values, index 0 = channel/bus 1
+    this.meterPeaks = { input: [], post: [], bus: [] }; // { value, time } peak hold per meter
+    this.meterClips = { input: [], post: [], bus: [] }; // Time until which each meter shows a clip
+    this.gainReduction = { gate: [], comp: [] }; // Latest gain reduction values, index 0 = channel 1
+    this.meterDirty = false;
+    this.lastMeterTime = 0; // When the last MS packet arrived, 0 while no meter data is shown
+    this.meterVariableValues = {}; // Last meter variable values sent, to only send changes
+    this.variableMeters = { input: 0, post: 0, bus: 0 }; // Number of meters with variable definitions, per type
+    this.discoveredDevices = {}; // UC devices heard on the LAN, keyed by serial number
+    this.hostDevices = {}; // Devices behind the connected UC host, keyed by address
+    this.configuredDeviceAddress = null; // Address picked in the config, null for auto
+    this.activeDeviceAddress = null; // Address we talk to; null until one is chosen or auto-selected
+    this.packetReader = new PacketReader((count, reason) => {
+      this.log('warn', `Discarding ${count} bytes of TCP data (${reason})`);
+    });
+    this.connected = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.lastReceiveTime = 0;
+    this.capture = null; // CaptureRecorder while packet capture is enabled
+    this.replayTimer = null;
+    this.pendingWrites = {}; // Values sent but not yet echoed by the console, keyed by path
+    this.unconfirmedWrites = {}; // Values the console never confirmed, path => value we sent
+    this.snapshotRequest = null; // Promise for a requested ZM snapshot, shared by concurrent waiters
+    this.snapshotTimer = null; // Gives up on the requested snapshot after SNAPSHOT_TIMEOUT
+    this.snapshotDone = null; // Settles snapshotRequest
+    this.phantomArmed = {}; // 48V changes waiting for a confirm press or hold, keyed by channel
+    this.systemArmed = {}; // Sample rate/clock changes waiting for a confirm press, keyed by path
+    this.resyncTimer = null;
+    this.lastResync = { time: '', changes: 0, paths: '' }; // Report of the last snapshot that replaced known state
   }
 
   async init(config) {
     this.config = config;
+    this.ensureClientIdentifier();
 
     this.updateStatus('connecting');
 
+    this.configuredDeviceAddress = this.getConfiguredDeviceAddress();
+    this.activeDeviceAddress = this.configuredDeviceAddress;
+    this.initDiscovery();
+    await this.updateCapture();
     this.initTCP();
     this.initUDP();
 
     this.initActions();
     this.initFeedbacks(); // Initialize feedbacks
+    this.initVariables();
+    this.initPresets();
+    this.initStoreSubscriptions();
 
     // Start heartbeat task
     this.startHeartbeat();
+    this.startMeterTimers();
+    this.startResyncTimer();
   }
 
   async destroy() {
-    if (this.tcpClient) {
-      this.tcpClient.destroy();
-      this.tcpClient = null;
+    this.stopReconnect();
+    this.stopDiscovery();
+    this.cancelAllFades();
+    if (this.presetListTimer) {
+      clearTimeout(this.presetListTimer);
+      this.presetListTimer = null;
     }
+    if (this.pathChoicesTimer) {
+      clearTimeout(this.pathChoicesTimer);
+      this.pathChoicesTimer = null;
+    }
+    this.closeTCP();
     if (this.udpServer) {
       this.udpServer.close();
       this.udpServer = null;
     }
     if (this.heartbeatInterval) {
       clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+    this.stopMeterTimers();
+    this.stopReplay();
+    if (this.snapshotDone) {
+      // Anyone still waiting for the snapshot gets false
+      this.snapshotDone(false);
     }
+    this.clearPendingWrites();
+    this.disarmAllPhantom();
+    this.disarmAllSystemChanges();
+    this.stopResyncTimer();
+    await this.stopCapture();
   }
 
   async configUpdated(config) {
+    const hostChanged = config.host !== this.config.host;
+    const confirmChanged = !!config.confirmWrites !== !!this.config.confirmWrites;
     this.config = config;
+    this.ensureClientIdentifier();
+
+    if (hostChanged) {
+      // Devices of the old host are not behind the new one
+      this.hostDevices = {};
+      this.noteDiscoveredHostDevices();
+    }
+
+    const deviceAddress = this.getConfiguredDeviceAddress();
+    if (hostChanged || deviceAddress !== this.configuredDeviceAddress) {
+      // State from the previous device must not leak into the new one
+      this.configuredDeviceAddress = deviceAddress;
+      this.activeDeviceAddress = deviceAddress;
+      this.clearPendingWrites();
+      this.store.clear();
+      this.checkFeedbacks();
+      this.updateAllVariables();
+    } else if (confirmChanged) {
+      this.clearPendingWrites();
+      this.updateUnconfirmedWrites();
+    }
+
+    await this.updateCapture();
+    this.stopReconnect();
+    this.reconnectAttempts = 0;
     this.initTCP();
     this.initUDP();
+    this.startMeterTimers();
+    this.startResyncTimer();
+  }
+
+  // Every connection subscribes with its own identifier so UC treats instances as separate
+  // remotes. It is generated once and kept in the config.
+  ensureClientIdentifier() {
+    if (this.config.clientIdentifier) {
+      return;
+    }
+    this.config = { ...this.config, clientIdentifier: crypto.randomUUID().toUpperCase() };
+    this.saveConfig(this.config);
+    this.log('info', `Generated client identifier ${this.config.clientIdentifier}`);
   }
 
   getConfigFields() {
+    const deviceChoices = Object.values(this.discoveredDevices).map((device) => ({
+      id: device.serial,
+      label: `${device.name} (${device.model}, ${device.serial}) - ${device.ip}`,
+    }));
+    // Keep the saved device selectable while it is offline
+    if (this.config.device && this.config.device !== 'manual' && !this.discoveredDevices[this.config.device]) {
+      deviceChoices.push({ id: this.config.device, label: `${this.config.device} (not found on the network)` });
+    }
+
     return [
+      {
+        type: 'dropdown',
+        id: 'device',
+        label: 'Device',
+        width: 12,
+        choices: [{ id: 'manual', label: 'Enter IP address manually' }, ...deviceChoices],
+        default: 'manual',
+        tooltip: 'Devices found on the network. The connection follows the device if its IP address changes',
+      },
       {
         type: 'textinput',
         id: 'host',
         label: 'Device IP Address',
         width: 6,
         regex: Regex.IP,
-        required: true,
+        isVisible: (options) => !options.device || options.device === 'manual',
+      },
+      {
+        type: 'dropdown',
+        id: 'deviceAddress',
+        label: 'Device on UC Host',
+        width: 6,
+        choices: this.getHostDeviceChoices(),
+        default: 'auto',
+        tooltip: 'A UC host can serve several devices. Pick which one this connection controls',
+      },
+      {
+        type: 'number',
+        id: 'meterInterval',
+        label: 'Meter Refresh Interval (ms)',
+        tooltip: 'Minimum time between redraws of meter feedbacks',
+        width: 6,
+        min: 20,
+        max: 5000,
+        default: METER_INTERVAL_DEFAULT,
+      },
+      {
+        type: 'textinput',
+        id: 'clientName',
+        label: 'Client Name',
+        tooltip: 'How this connection appears in the list of remotes in Universal Control',
+        width: 6,
+        default: 'Companion',
+      },
+      {
+        type: 'dropdown',
+        id: 'clientType',
+        label: 'Client Type',
+        tooltip: 'The device type reported to Universal Control',
+        width: 6,
+        choices: [
+          { id: 'iPhone', label: 'iPhone' },
+          { id: 'iPad', label: 'iPad' },
+          { id: 'Android', label: 'Android' },
+          { id: 'Mac', label: 'Mac' },
+          { id: 'Windows', label: 'Windows' },
+        ],
+        default: 'iPhone',
+        allowCustom: true,
+      },
+      {
+        type: 'textinput',
+        id: 'clientIdentifier',
+        label: 'Client Identifier',
+        tooltip: 'Generated automatically and unique to this connection. Clear it to generate a new one',
+        width: 12,
+        default: '',
+      },
+      {
+        type: 'textinput',
+        id: 'channelSets',
+        label: 'Channel Sets',
+        tooltip: 'Named channel lists for the multi-channel actions, e.g. band=1-16; vocals=17-20,24',
+        width: 12,
+        default: '',
+      },
+      {
+        type: 'number',
+        id: 'gainMin',
+        label: 'Lowest Preamp Gain Allowed (dB)',
+        width: 3,
+        min: CHANNEL_CONTROLS.gain.min,
+        max: CHANNEL_CONTROLS.gain.max,
+        default: CHANNEL_CONTROLS.gain.limitMin,
+      },
+      {
+        type: 'number',
+        id: 'gainMax',
+        label: 'Highest Preamp Gain Allowed (dB)',
+        width: 3,
+        min: CHANNEL_CONTROLS.gain.min,
+        max: CHANNEL_CONTROLS.gain.max,
+        default: CHANNEL_CONTROLS.gain.limitMax,
+      },
+      {
+        type: 'number',
+        id: 'trimMin',
+        label: 'Lowest Trim Allowed (dB)',
+        width: 3,
+        min: CHANNEL_CONTROLS.trim.min,
+        max: CHANNEL_CONTROLS.trim.max,
+        default: CHANNEL_CONTROLS.trim.limitMin,
+      },
+      {
+        type: 'number',
+        id: 'trimMax',
+        label: 'Highest Trim Allowed (dB)',
+        width: 3,
+        min: CHANNEL_CONTROLS.trim.min,
+        max: CHANNEL_CONTROLS.trim.max,
+        default: CHANNEL_CONTROLS.trim.limitMax,
+      },
+      {
+        type: 'number',
+        id: 'controlStepLimit',
+        label: 'Largest Gain/Trim Step (dB)',
+        tooltip: 'No action raises gain or trim by more than this in one press, and step actions never change it by more',
+        width: 6,
+        min: 0.5,
+        max: 60,
+        default: CONTROL_STEP_LIMIT_DEFAULT,
+      },
+      {
+        type: 'number',
+        id: 'resyncInterval',
+        label: 'Periodic Resync (minutes, 0 = off)',
+        tooltip: 'Request a full snapshot from UC at this interval to catch updates lost over UDP',
+        width: 6,
+        min: 0,
+        max: 1440,
+        default: 0,
+      },
+      {
+        type: 'dropdown',
+        id: 'unknownStatePolicy',
+        label: 'Toggle When State Is Unknown',
+        tooltip: 'What a toggle does when the console has not reported the current value yet',
+        width: 6,
+        choices: [
+          { id: 'refresh', label: 'Request a fresh snapshot, then toggle' },
+          { id: 'refuse', label: 'Do nothing and log it' },
+          { id: 'default', label: 'Switch to a fixed state' },
+        ],
+        default: 'refresh',
+      },
+      {
+        type: 'dropdown',
+        id: 'unknownStateDefault',
+        label: 'Fixed State for Unknown Toggles',
+        width: 6,
+        choices: [
+          { id: 'off', label: 'Off' },
+          { id: 'on', label: 'On' },
+        ],
+        default: 'off',
+        isVisible: (options) => options.unknownStatePolicy === 'default',
+      },
+      {
+        type: 'dropdown',
+        id: 'phantomSafety',
+        label: '48V Safety Interlock',
+        tooltip: 'Guard phantom power changes against accidental presses',
+        width: 6,
+        choices: [
+          { id: 'none', label: 'None' },
+          { id: 'confirm', label: 'Press twice to confirm' },
+          { id: 'hold', label: 'Hold the button' },
+        ],
+        default: 'confirm',
+      },
+      {
+        type: 'checkbox',
+        id: 'confirmWrites',
+        label: 'Confirm Writes (Experimental)',
+        tooltip:
+          'Expect the console to echo every value sent, resend values it stays silent about and roll them back if it never confirms them. Not verified against real UC',
+        width: 6,
+        default: false,
+      },
+      {
+        type: 'checkbox',
+        id: 'logRawData',
+        label: 'Log Raw TCP Data',
+        tooltip: 'Write every received TCP chunk to the debug log as hex and ASCII. Very noisy',
+        width: 6,
+        default: false,
+      },
+      {
+        type: 'checkbox',
+        id: 'captureEnabled',
+        label: 'Record Packet Capture',
+        tooltip: 'Write all TCP and UDP traffic with the device to a capture file for troubleshooting',
+        width: 6,
+        default: false,
+      },
+      {
+        type: 'textinput',
+        id: 'captureFile',
+        label: 'Capture File',
+        tooltip: 'Leave empty to write a new file in the system temp folder',
+        width: 12,
+        default: '',
+        isVisible: (options) => !!options.captureEnabled,
+      },
+      {
+        // Written by Store Fat Channel Settings, never edited by hand
+        type: 'textinput',
+        id: 'fatChannelSlots',
+        label: 'Stored Fat Channel Settings',
+        width: 12,
+        default: '{}',
+        isVisible: () => false,
       },
     ];
   }
 
   initTCP() {
-    if (this.tcpClient) {
-      this.tcpClient.destroy();
-      this.tcpClient = null;
-    }
+    this.closeTCP();
 
     if (this.config.host) {
       this.tcpClient = new net.Socket();
+      this.packetReader.reset();
 
-      this.tcpClient.connect(49162, this.config.host, () => {
+      this.tcpClient.connect(UC_TCP_PORT, this.config.host, () => {
         this.log('info', 'Connected to UC device');
+        this.connected = true;
+        this.reconnectAttempts = 0;
+        this.lastReceiveTime = Date.now();
         this.updateStatus('ok');
         this.subscribeToDevice();
       });
 
       this.tcpClient.on('error', (err) => {
         this.log('error', 'TCP error: ' + err.message);
-        this.updateStatus('connection_failure');
+        this.updateStatus('connection_failure', err.message);
       });
 
       this.tcpClient.on('data', (data) => {
+        this.lastReceiveTime = Date.now();
+        this.recordFrame('in', 'tcp', data);
         this.handleIncomingData(data);
       });
 
       this.tcpClient.on('close', () => {
         this.log('info', 'TCP connection closed');
-        this.updateStatus('disconnected');
+        this.connected = false;
+        this.tcpClient = null;
+        this.clearLinkState();
+        this.scheduleReconnect();
       });
+    } else if (this.config.device && this.config.device !== 'manual') {
+      this.updateStatus('connecting', 'Waiting for the device to be discovered');
+    } else {
+      this.updateStatus('bad_config', 'No device selected');
+    }
+  }
+
+  closeTCP() {
+    this.connected = false;
+    if (this.tcpClient) {
+      // Drop our listeners first so an intentional close does not trigger a reconnect
+      this.tcpClient.removeAllListeners();
+      this.tcpClient.on('error', () => {});
+      this.tcpClient.destroy();
+      this.tcpClient = null;
+    }
+    this.clearLinkState();
+  }
+
+  // Drops what only made sense on the connection that just went away
+  clearLinkState() {
+    // UC will never answer requests sent on the old connection
+    this.fileRequests = {};
+    this.clearMeters();
+    // Only recalls made from here are known, and others may recall while the link is down
+    if (this.activePreset.project || this.activePreset.scene) {
+      this.activePreset = { project: '', scene: '' };
+      this.checkFeedbacks('active_preset');
+      this.updateGlobalVariables();
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer || !this.config.host) {
+      return;
+    }
+
+    // Exponential backoff: 1s, 2s, 4s, ... capped at RECONNECT_DELAY_MAX
+    const delay = Math.min(RECONNECT_DELAY_MIN * 2 ** this.reconnectAttempts, RECONNECT_DELAY_MAX);
+    this.reconnectAttempts++;
+
+    this.log('info', `Reconnecting to UC device in ${delay / 1000}s (attempt ${this.reconnectAttempts})`);
+    this.updateStatus('disconnected', `Reconnecting in ${delay / 1000}s`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.updateStatus('connecting');
+      this.initTCP();
+    }, delay);
+  }
+
+  stopReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  getConfiguredDeviceAddress() {
+    const address = parseInt(this.config.deviceAddress, 10);
+    return isNaN(address) ? null : address;
+  }
+
+  getHostDeviceChoices() {
+    const choices = [{ id: 'auto', label: 'First device to answer' }];
+    for (const device of Object.values(this.hostDevices)) {
+      choices.push({ id: String(device.address), label: `${device.name} (address ${device.address})` });
+    }
+    const configured = this.getConfiguredDeviceAddress();
+    if (configured !== null && !this.hostDevices[configured]) {
+      choices.push({ id: String(configured), label: `Address ${configured} (not seen yet)` });
+    }
+    return choices;
+  }
+
+  getDeviceAddress() {
+    return this.activeDeviceAddress === null ? DEFAULT_DEVICE_ADDRESS : this.activeDeviceAddress;
+  }
+
+  // Packets from other devices behind the same UC host are only used to list them
+  isSelectedDevice(address) {
+    return address === 0 || this.activeDeviceAddress === null || address === this.activeDeviceAddress;
+  }
+
+  noteHostDevice(address, name) {
+    if (!this.hostDevices[address]) {
+      this.log('info', `UC host serves device ${name || address} at address ${address}`);
+    }
+    this.hostDevices[address] = { address, name: name || (this.hostDevices[address] || {}).name || `Device ${address}` };
+  }
+
+  // A UC host announces each device it serves with its own DA packet, sent from the device's
+  // address. Those from the connected host list the devices that can be picked.
+  noteDiscoveredHostDevices() {
+    for (const device of Object.values(this.discoveredDevices)) {
+      if (device.ip === this.config.host && device.address !== undefined) {
+        this.noteHostDevice(device.address, device.name);
+      }
+    }
+  }
+
+  initDiscovery() {
+    if (this.discoverySocket) {
+      return;
+    }
+
+    this.discoverySocket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+    this.discoverySocket.on('error', (err) => {
+      this.log('warn', `Discovery error: ${err.message}`);
+      this.stopDiscovery();
+    });
+
+    this.discoverySocket.on('message', (msg, rinfo) => {
+      this.handleDiscoveryData(msg, rinfo);
+    });
+
+    this.discoverySocket.bind(UC_DISCOVERY_PORT);
+
+    this.discoveryExpiryInterval = setInterval(() => {
+      const now = Date.now();
+      for (const [serial, device] of Object.entries(this.discoveredDevices)) {
+        if (now - device.lastSeen > DISCOVERY_EXPIRY) {
+          this.log('debug', `Discovered device ${device.name} (${serial}) went away`);
+          delete this.discoveredDevices[serial];
+        }
+      }
+    }, DISCOVERY_EXPIRY);
+  }
+
+  stopDiscovery() {
+    if (this.discoverySocket) {
+      this.discoverySocket.close();
+      this.discoverySocket = null;
+    }
+    if (this.discoveryExpiryInterval) {
+      clearInterval(this.discoveryExpiryInterval);
+      this.discoveryExpiryInterval = null;
+    }
+  }
+
+  handleDiscoveryData(data, rinfo) {
+    let device;
+    try {
+      device = decodePacket(data);
+    } catch (error) {
+      return; // Not a UC broadcast
+    }
+    if (device.type !== 'DA') {
+      return;
+    }
+
+    const known = this.discoveredDevices[device.serial];
+    if (!known) {
+      this.log('info', `Discovered ${device.name} (${device.model}, ${device.serial}) at ${rinfo.address}`);
+    }
+    this.discoveredDevices[device.serial] = {
+      address: device.addressPair.a,
+      port: device.port,
+      model: device.model,
+      deviceClass: device.deviceClass,
+      serial: device.serial,
+      name: device.name,
+      ip: rinfo.address,
+      lastSeen: Date.now(),
+    };
+    if (rinfo.address === this.config.host) {
+      this.noteHostDevice(device.addressPair.a, device.name);
+    }
+    // Model and serial variables fall back to the announcement of the selected device
+    if (!known && device.serial === this.config.device) {
+      this.updateGlobalVariables();
+    }
+
+    // Follow the selected device to its current address
+    if (this.config.device === device.serial && this.config.host !== rinfo.address) {
+      this.log('info', `${device.name} is now at ${rinfo.address}, reconnecting`);
+      this.config = { ...this.config, host: rinfo.address };
+      this.saveConfig(this.config);
+      this.hostDevices = {};
+      this.noteDiscoveredHostDevices();
+      this.stopReconnect();
+      this.reconnectAttempts = 0;
+      this.initTCP();
     }
   }
 
@@ -99,6 +1020,7 @@ class UCControlInstance extends InstanceBase {
       this.udpServer = null;
     }
 
+    this.udpPort = undefined;
     this.udpServer = dgram.createSocket('udp4');
 
     this.udpServer.on('error', (err) => {
@@ -107,16 +1029,27 @@ class UCControlInstance extends InstanceBase {
     });
 
     this.udpServer.on('message', (msg, rinfo) => {
+      this.recordFrame('in', 'udp', msg);
       this.handleIncomingUDPData(msg);
     });
 
     this.udpServer.bind(() => {
       this.udpPort = this.udpServer.address().port;
       this.log('info', `UDP server listening on port ${this.udpPort}`);
+
+      // The TCP link may have come up first; tell UC where to send UDP traffic now
+      if (this.connected) {
+        this.subscribeToDevice();
+      }
     });
   }
 
   subscribeToDevice() {
+    if (this.udpPort === undefined) {
+      // initUDP() subscribes once the port is bound
+      return;
+    }
+
     // Send UM packet with UDP port
     const umPacket = this.buildUMPacket(this.udpPort);
     this.sendPacket(umPacket);
@@ -124,6 +1057,8 @@ class UCControlInstance extends InstanceBase {
     // Send JM packet to subscribe
     const jmPacket = this.buildJMPacket();
     this.sendPacket(jmPacket);
+
+    this.requestPresetLists();
   }
 
   startHeartbeat() {
@@ -132,9 +1067,21 @@ class UCControlInstance extends InstanceBase {
     }
 
     this.heartbeatInterval = setInterval(() => {
+      if (!this.connected) {
+        return;
+      }
+
+      // UC answers KA packets, so silence means the link is gone even if the socket looks open
+      if (Date.now() - this.lastReceiveTime > HEARTBEAT_TIMEOUT) {
+        this.log('warn', `No data from UC device for ${HEARTBEAT_TIMEOUT / 1000}s, dropping connection`);
+        this.closeTCP();
+        this.scheduleReconnect();
+        return;
+      }
+
       const kaPacket = this.buildKAPacket();
       this.sendPacket(kaPacket);
-    }, 2000); // Every 2 seconds
+    }, HEARTBEAT_INTERVAL);
   }
 
   initActions() {
@@ -205,7 +1152,7 @@ class UCControlInstance extends InstanceBase {
       ],
       callback: async (event) => {
         const channel = event.options.channel;
-        this.toggleChannelMute(channel);
+        await this.toggleChannelMute(channel);
       },
     };
 	// Toggle Solo
@@ -224,7 +1171,7 @@ class UCControlInstance extends InstanceBase {
     ],
     callback: async (event) => {
       const channel = event.options.channel;
-      this.toggleChannelSolo(channel);
+      await this.toggleChannelSolo(channel);
     },
   };
 
@@ -244,13 +1191,12 @@ class UCControlInstance extends InstanceBase {
     ],
     callback: async (event) => {
       const channel = event.options.channel;
-      this.toggleChannel48V(channel);
+      await this.toggleChannel48V(channel);
     },
   };
 
-  // Toggle HPF
-  actions['toggle_channel_hpf'] = {
-    name: 'Toggle Channel HPF (High-Pass Filter)',
+  actions['set_channel_48v'] = {
+    name: 'Set Channel 48V (Phantom Power)',
     options: [
       {
         type: 'number',
@@ -261,16 +1207,25 @@ class UCControlInstance extends InstanceBase {
         default: 1,
         required: true,
       },
+      {
+        type: 'dropdown',
+        label: '48V State',
+        id: 'state',
+        choices: [
+          { id: 'true', label: 'On' },
+          { id: 'false', label: 'Off' },
+        ],
+        default: 'false',
+      },
     ],
     callback: async (event) => {
-      const channel = event.options.channel;
-      this.toggleChannelHPF(channel);
+      this.setChannel48V(event.options.channel, event.options.state === 'true');
     },
   };
 
-  // Toggle Pad
-  actions['toggle_channel_pad'] = {
-    name: 'Toggle Channel Pad',
+  actions['release_channel_48v'] = {
+    name: 'Release Channel 48V Button',
+    description: 'Put on the button release when the 48V interlock is set to hold, so letting go early cancels the change',
     options: [
       {
         type: 'number',
@@ -283,8 +1238,47 @@ class UCControlInstance extends InstanceBase {
       },
     ],
     callback: async (event) => {
-      const channel = event.options.channel;
-      this.toggleChannelPad(channel);
+      this.releasePhantomHold(event.options.channel);
+    },
+  };
+
+  // Toggle HPF
+  actions['toggle_channel_hpf'] = {
+    name: 'Toggle Channel HPF (High-Pass Filter)',
+    options: [
+      {
+        type: 'number',
+        label: 'Channel Number',
+        id: 'channel',
+        min: 1,
+        max: 100,
+        default: 1,
+        required: true,
+      },
+    ],
+    callback: async (event) => {
+      const channel = event.options.channel;
+      await this.toggleChannelHPF(channel);
+    },
+  };
+
+  // Toggle Pad
+  actions['toggle_channel_pad'] = {
+    name: 'Toggle Channel Pad',
+    options: [
+      {
+        type: 'number',
+        label: 'Channel Number',
+        id: 'channel',
+        min: 1,
+        max: 100,
+        default: 1,
+        required: true,
+      },
+    ],
+    callback: async (event) => {
+      const channel = event.options.channel;
+      await this.toggleChannelPad(channel);
     },
   };
 
@@ -293,78 +1287,116 @@ class UCControlInstance extends InstanceBase {
     name: 'Toggle Mixer Bypass',
     options: [],
     callback: async (event) => {
-      this.toggleMixerBypass();
+      await this.toggleMixerBypass();
     },
   };
 
-    this.setActionDefinitions(actions);
-  }
-
-  sendPacket(packet) {
-    if (this.tcpClient && !this.tcpClient.destroyed) {
-      this.tcpClient.write(packet);
-    } else {
-      this.log('error', 'TCP client is not connected');
-    }
-  }
+    const faderOptions = [
+      {
+        type: 'dropdown',
+        label: 'Bus',
+        id: 'bus',
+        choices: FADER_BUSES,
+        default: 'line',
+      },
+      {
+        type: 'number',
+        label: 'Channel Number',
+        id: 'channel',
+        min: 1,
+        max: 100,
+        default: 1,
+        required: true,
+        isVisible: (options) => options.bus !== 'main',
+      },
+    ];
 
-initFeedbacks() {
-    const feedbacks = {};
+    actions['set_fader_level'] = {
+      name: 'Set Fader Level',
+      options: [
+        ...faderOptions,
+        {
+          type: 'number',
+          label: 'Level (dB, -84 = -inf)',
+          id: 'level',
+          min: FADER_DB_MIN,
+          max: FADER_DB_MAX,
+          step: 0.5,
+          default: 0,
+          required: true,
+        },
+      ],
+      callback: async (event) => {
+        const path = this.getFaderPath(event.options.bus, event.options.channel);
+        this.setFaderLevel(path, event.options.level);
+      },
+    };
 
-    // Feedback for Channel Mute State
-    feedbacks['channel_mute_state'] = {
-      type: 'boolean',
-      name: 'Change Button Color by Channel Mute State',
-      description: 'Change the button color based on the mute state of a channel',
+    actions['nudge_fader_level'] = {
+      name: 'Nudge Fader Level',
+      description: 'Move a fader up or down by a number of dB, e.g. from a rotary encoder',
       options: [
+        ...faderOptions,
         {
           type: 'number',
-          label: 'Channel Number',
-          id: 'channel',
-          min: 1,
-          max: 100,
+          label: 'Step (dB, negative to lower)',
+          id: 'step',
+          min: -20,
+          max: 20,
+          step: 0.5,
           default: 1,
           required: true,
         },
+      ],
+      callback: async (event) => {
+        const path = this.getFaderPath(event.options.bus, event.options.channel);
+        this.nudgeFaderLevel(path, event.options.step);
+      },
+    };
+
+    actions['fade_fader_level'] = {
+      name: 'Fade Fader Level',
+      description: 'Move a fader to a level over time. Any other move on the same fader cancels the fade',
+      options: [
+        ...faderOptions,
         {
-          type: 'colorpicker',
-          label: 'Muted Color',
-          id: 'mutedColor',
-          default: combineRgb(255, 0, 0), // Red
+          type: 'number',
+          label: 'Target Level (dB, -84 = -inf)',
+          id: 'level',
+          min: FADER_DB_MIN,
+          max: FADER_DB_MAX,
+          step: 0.5,
+          default: 0,
+          required: true,
         },
         {
-          type: 'colorpicker',
-          label: 'Unmuted Color',
-          id: 'unmutedColor',
-          default: combineRgb(0, 255, 0), // Green
+          type: 'number',
+          label: 'Duration (ms)',
+          id: 'duration',
+          min: 0,
+          max: 60000,
+          default: 2000,
+          required: true,
+        },
+        {
+          type: 'dropdown',
+          label: 'Curve',
+          id: 'curve',
+          choices: [
+            { id: 'linear', label: 'Linear' },
+            { id: 'log', label: 'Logarithmic' },
+            { id: 'scurve', label: 'S-Curve' },
+          ],
+          default: 'linear',
         },
       ],
-      callback: (feedback) => {
-      const channel = feedback.options.channel;
-      const channelState = this.channelStates[channel];
-
-      // Add logging
-//       this.log('info', `Feedback callback called for channel ${channel}`);
-//       this.log('info', `Channel state: ${JSON.stringify(channelState)}`);
-
-      if (channelState && typeof channelState.mute === 'boolean') {
-//         this.log('info', `Channel ${channel} mute state is ${channelState.mute}`);
-        if (channelState.mute) {
-          return { bgcolor: feedback.options.mutedColor };
-        } else {
-          return { bgcolor: feedback.options.unmutedColor };
-        }
-      }
-//       this.log('info', `Channel ${channel} mute state is unknown`);
-      return null;
-    },
-  };
+      callback: async (event) => {
+        const path = this.getFaderPath(event.options.bus, event.options.channel);
+        this.fadeFaderLevel(path, event.options.level, event.options.duration, event.options.curve);
+      },
+    };
 
-    feedbacks['channel_solo_state'] = {
-    type: 'boolean',
-    name: 'Change Button Color by Channel Solo State',
-    description: 'Change the button color based on the solo state of a channel',
-    options: [
+    const sendOptions = [
       {
         type: 'number',
         label: 'Channel Number',
@@ -374,626 +1406,4025 @@ initFeedbacks() {
         default: 1,
         required: true,
       },
-      {
-        type: 'colorpicker',
-        label: 'Solo Active Color',
-        id: 'soloColor',
-        default: combineRgb(255, 255, 0), // Yellow
-      },
-      {
-        type: 'colorpicker',
-        label: 'Solo Inactive Color',
-        id: 'normalColor',
-        default: combineRgb(0, 0, 0), // Black
-      },
-    ],
-    callback: (feedback) => {
-      const channel = feedback.options.channel;
-      const channelState = this.channelStates[channel];
-
-      if (channelState && typeof channelState.solo === 'boolean') {
-        if (channelState.solo) {
-          return { bgcolor: feedback.options.soloColor };
-        } else {
-          return { bgcolor: feedback.options.normalColor };
-        }
-      }
-      return null;
-    },
-  };
-
-  feedbacks['channel_hpf_state'] = {
-    type: 'boolean',
-    name: 'Change Button Color by Channel HPF State',
-    description: 'Change the button color based on the hpf state of a channel',
-    options: [
       {
         type: 'number',
-        label: 'Channel Number',
-        id: 'channel',
+        label: 'Aux Bus',
+        id: 'aux',
         min: 1,
-        max: 100,
+        max: 32,
         default: 1,
         required: true,
       },
-      {
-        type: 'colorpicker',
-        label: 'HPF Active Color',
-        id: 'hpfColor',
-        default: combineRgb(85, 85, 255), // Blue
-      },
-      {
-        type: 'colorpicker',
-        label: 'HPF Inactive Color',
-        id: 'normalColor',
-        default: combineRgb(0, 0, 0), // Black
-      },
-    ],
-    callback: (feedback) => {
-      const channel = feedback.options.channel;
-      const channelState = this.channelStates[channel];
-
-      if (channelState && typeof channelState.hpf === 'boolean') {
-        if (channelState.hpf) {
-          return { bgcolor: feedback.options.hpfColor };
-        } else {
-          return { bgcolor: feedback.options.normalColor };
-        }
-      }
-      return null;
-    },
-  };
-  feedbacks['channel_48v_state'] = {
-  type: 'boolean',
-  name: 'Change Button Color by Channel 48V State',
-  description: 'Change the button color based on the 48V state of a channel',
-  options: [
-    {
-      type: 'number',
-      label: 'Channel Number',
-      id: 'channel',
-      min: 1,
-      max: 100,
-      default: 1,
-      required: true,
-    },
-    {
-      type: 'colorpicker',
-      label: '48V On Color',
-      id: 'onColor',
-      default: combineRgb(0, 0, 255), // Blue
-    },
-    {
-      type: 'colorpicker',
-      label: '48V Off Color',
-      id: 'offColor',
-      default: combineRgb(0, 0, 0), // Black
-    },
-  ],
-  callback: (feedback) => {
-    const channel = feedback.options.channel;
-    const channelState = this.channelStates[channel];
-
-    if (channelState && typeof channelState['48v'] === 'boolean') {
-      if (channelState['48v']) {
-        return { bgcolor: feedback.options.onColor };
-      } else {
-        return { bgcolor: feedback.options.offColor };
-      }
-    }
-    return null;
-  },
-};
+    ];
 
-    // Feedback for Mixer Bypass State
-    feedbacks['mixer_bypass_state'] = {
-      type: 'boolean',
-      name: 'Change Button Color by Mixer Bypass State',
-      description: 'Change the button color based on the mixer bypass state',
+    actions['set_aux_send_level'] = {
+      name: 'Set Aux Send Level',
       options: [
+        ...sendOptions,
         {
-          type: 'colorpicker',
-          label: 'Bypass Active Color',
-          id: 'bypassedColor',
-          default: combineRgb(255, 0, 0), // Red
+          type: 'number',
+          label: 'Level (dB, -84 = -inf)',
+          id: 'level',
+          min: FADER_DB_MIN,
+          max: FADER_DB_MAX,
+          step: 0.5,
+          default: 0,
+          required: true,
         },
+      ],
+      callback: async (event) => {
+        const path = this.getSendLevelPath(event.options.channel, event.options.aux);
+        this.setFaderLevel(path, event.options.level);
+      },
+    };
+
+    actions['nudge_aux_send_level'] = {
+      name: 'Nudge Aux Send Level',
+      options: [
+        ...sendOptions,
         {
-          type: 'colorpicker',
-          label: 'Bypass Inactive Color',
-          id: 'activeColor',
-          default: combineRgb(0, 255, 0), // Green
+          type: 'number',
+          label: 'Step (dB, negative to lower)',
+          id: 'step',
+          min: -20,
+          max: 20,
+          step: 0.5,
+          default: 1,
+          required: true,
         },
       ],
-      callback: (feedback) => {
-        if (typeof this.mixerBypassState === 'boolean') {
-          if (this.mixerBypassState) {
-            return { bgcolor: feedback.options.bypassedColor };
-          } else {
-            return { bgcolor: feedback.options.activeColor };
-          }
+      callback: async (event) => {
+        const path = this.getSendLevelPath(event.options.channel, event.options.aux);
+        this.nudgeFaderLevel(path, event.options.step);
+      },
+    };
+
+    actions['set_aux_send_mute'] = {
+      name: 'Set Aux Send Mute',
+      options: [
+        ...sendOptions,
+        {
+          type: 'dropdown',
+          label: 'Mute State',
+          id: 'state',
+          choices: [
+            { id: 'true', label: 'Mute' },
+            { id: 'false', label: 'Unmute' },
+            { id: 'toggle', label: 'Toggle' },
+          ],
+          default: 'toggle',
+        },
+      ],
+      callback: async (event) => {
+        const { channel, aux, state } = event.options;
+        if (state === 'toggle') {
+          await this.toggleSendMute(channel, aux);
+        } else {
+          this.setSendMute(channel, aux, state === 'true');
         }
-        return null;
       },
     };
 
-    this.setFeedbackDefinitions(feedbacks);
+    actions['set_sends_on_fader'] = {
+      name: 'Sends on Fader',
+      description: 'While active, channel fader actions on input channels move the send to this aux bus instead',
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Mode',
+          id: 'mode',
+          choices: [
+            { id: 'on', label: 'Select aux' },
+            { id: 'toggle', label: 'Toggle aux' },
+            { id: 'off', label: 'Back to main faders' },
+          ],
+          default: 'on',
+        },
+        {
+          type: 'number',
+          label: 'Aux Bus',
+          id: 'aux',
+          min: 1,
+          max: 32,
+          default: 1,
+          required: true,
+          isVisible: (options) => options.mode !== 'off',
+        },
+      ],
+      callback: async (event) => {
+        const { mode, aux } = event.options;
+        if (mode === 'off' || (mode === 'toggle' && this.sendsOnFaderAux === aux)) {
+          this.setSendsOnFader(0);
+        } else {
+          this.setSendsOnFader(aux);
+        }
+      },
+    };
+
+    const presetTypeOption = {
+      type: 'dropdown',
+      label: 'Type',
+      id: 'presetType',
+      choices: Object.entries(PRESET_TYPES).map(([id, presetType]) => ({ id, label: presetType.label })),
+      default: 'scene',
+    };
+
+    actions['recall_preset'] = {
+      name: 'Recall Scene / Project',
+      options: [
+        presetTypeOption,
+        {
+          type: 'dropdown',
+          label: 'Scene',
+          id: 'scene',
+          choices: this.getPresetChoices('scene'),
+          default: '',
+          allowCustom: true,
+          isVisible: (options) => options.presetType === 'scene',
+        },
+        {
+          type: 'dropdown',
+          label: 'Project',
+          id: 'project',
+          choices: this.getPresetChoices('project'),
+          default: '',
+          allowCustom: true,
+          isVisible: (options) => options.presetType === 'project',
+        },
+      ],
+      callback: async (event) => {
+        const presetType = event.options.presetType;
+        this.recallPreset(presetType, event.options[presetType]);
+      },
+    };
+
+    actions['store_preset'] = {
+      name: 'Store Scene / Project',
+      options: [
+        presetTypeOption,
+        {
+          type: 'textinput',
+          label: 'Name',
+          id: 'name',
+          default: '',
+          required: true,
+        },
+      ],
+      callback: async (event) => {
+        this.storePreset(event.options.presetType, event.options.name);
+      },
+    };
+
+    actions['refresh_preset_lists'] = {
+      name: 'Refresh Scene / Project Lists',
+      options: [],
+      callback: async () => {
+        this.requestPresetLists();
+      },
+    };
+
+    actions['set_group_mute'] = {
+      name: 'Set DCA / Mute Group Mute',
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Group Type',
+          id: 'groupType',
+          choices: Object.entries(GROUP_TYPES).map(([id, group]) => ({ id, label: group.label })),
+          default: 'dca',
+        },
+        {
+          type: 'number',
+          label: 'Group Number',
+          id: 'group',
+          min: 1,
+          max: 32,
+          default: 1,
+          required: true,
+        },
+        {
+          type: 'dropdown',
+          label: 'Mute State',
+          id: 'state',
+          choices: [
+            { id: 'true', label: 'Mute' },
+            { id: 'false', label: 'Unmute' },
+            { id: 'toggle', label: 'Toggle' },
+          ],
+          default: 'toggle',
+        },
+      ],
+      callback: async (event) => {
+        const { groupType, group, state } = event.options;
+        if (state === 'toggle') {
+          await this.toggleGroupMute(groupType, group);
+        } else {
+          this.setGroupMute(groupType, group, state === 'true');
+        }
+      },
+    };
+
+    actions['rename_channel'] = {
+      name: 'Rename Channel',
+      description: 'Change the name of a channel on the console',
+      options: [
+        {
+          type: 'number',
+          label: 'Channel Number',
+          id: 'channel',
+          min: 1,
+          max: 100,
+          default: 1,
+          required: true,
+        },
+        {
+          type: 'textinput',
+          label: 'Name',
+          id: 'name',
+          default: '',
+          useVariables: true,
+        },
+      ],
+      callback: async (event, context) => {
+        const name = (await context.parseVariablesInString(event.options.name)).trim();
+        this.setChannelName(event.options.channel, name);
+      },
+    };
+
+    actions['refresh_state'] = {
+      name: 'Refresh State From Console',
+      description: 'Request a full snapshot from UC and update every feedback and variable from it',
+      options: [],
+      callback: async () => {
+        this.log('info', 'Refreshing state from the console');
+        await this.requestSnapshot();
+      },
+    };
+
+    actions['clear_unconfirmed'] = {
+      name: 'Clear Unconfirmed Command Warnings',
+      options: [],
+      callback: async () => {
+        this.clearUnconfirmedWrites();
+      },
+    };
+
+    actions['replay_capture'] = {
+      name: 'Replay Packet Capture',
+      description: 'Feed the received traffic in a capture file back through the module, for troubleshooting',
+      options: [
+        {
+          type: 'textinput',
+          label: 'Capture File',
+          id: 'file',
+          default: '',
+        },
+        {
+          type: 'dropdown',
+          label: 'Speed',
+          id: 'speed',
+          choices: [
+            { id: 'instant', label: 'As fast as possible' },
+            { id: 'realtime', label: 'Original timing' },
+          ],
+          default: 'instant',
+        },
+      ],
+      callback: async (event) => {
+        if (!event.options.file) {
+          this.log('warn', 'Replay Packet Capture: no file given');
+          return;
+        }
+        this.replayCapture(event.options.file, event.options.speed === 'realtime');
+      },
+    };
+
+    actions['stop_replay'] = {
+      name: 'Stop Packet Capture Replay',
+      options: [],
+      callback: async () => {
+        this.stopReplay();
+      },
+    };
+
+    const controlOptions = [
+      {
+        type: 'number',
+        label: 'Channel Number',
+        id: 'channel',
+        min: 1,
+        max: 100,
+        default: 1,
+        required: true,
+      },
+      {
+        type: 'dropdown',
+        label: 'Control',
+        id: 'control',
+        choices: Object.entries(CHANNEL_CONTROLS).map(([id, control]) => ({ id, label: control.label })),
+        default: 'gain',
+      },
+    ];
+
+    actions['set_channel_control'] = {
+      name: 'Set Channel Gain/Trim/Pan',
+      description: 'Gain and trim in dB, pan from -100 (left) to 100 (right). Limited by the connection settings',
+      options: [
+        ...controlOptions,
+        {
+          type: 'number',
+          label: 'Value (dB, or pan %)',
+          id: 'value',
+          min: -100,
+          max: 100,
+          step: 0.5,
+          default: 0,
+        },
+      ],
+      callback: async (event) => {
+        this.setChannelControl(event.options.channel, event.options.control, event.options.value);
+      },
+    };
+
+    actions['step_channel_control'] = {
+      name: 'Step Channel Gain/Trim/Pan',
+      options: [
+        ...controlOptions,
+        {
+          type: 'number',
+          label: 'Step (dB, or pan %; negative to decrease)',
+          id: 'step',
+          min: -100,
+          max: 100,
+          step: 0.5,
+          default: 1,
+        },
+      ],
+      callback: async (event) => {
+        this.stepChannelControl(event.options.channel, event.options.control, event.options.step);
+      },
+    };
+
+    actions['reset_channel_control'] = {
+      name: 'Reset Channel Gain/Trim/Pan',
+      description: 'Gain and trim back to 0 dB (within the limits), pan to center',
+      options: controlOptions,
+      callback: async (event) => {
+        const control = CHANNEL_CONTROLS[event.options.control];
+        this.setChannelControl(event.options.channel, event.options.control, control.default, true);
+      },
+    };
+
+    const blockChoices = Object.entries(FAT_CHANNEL_SECTIONS)
+      .filter(([, section]) => section.onPath)
+      .map(([id, section]) => ({ id, label: section.label }));
+    const sectionChoices = Object.entries(FAT_CHANNEL_SECTIONS).map(([id, section]) => ({ id, label: section.label }));
+    const slotChoices = Object.keys(this.getFatChannelSlots()).map((name) => ({ id: name, label: name }));
+
+    actions['set_fat_channel_block'] = {
+      name: 'Enable/Bypass Fat Channel Block',
+      options: [
+        {
+          type: 'number',
+          label: 'Channel Number',
+          id: 'channel',
+          min: 1,
+          max: 100,
+          default: 1,
+          required: true,
+        },
+        {
+          type: 'dropdown',
+          label: 'Block',
+          id: 'block',
+          choices: blockChoices,
+          default: 'comp',
+        },
+        {
+          type: 'dropdown',
+          label: 'State',
+          id: 'state',
+          choices: [
+            { id: 'true', label: 'Enable' },
+            { id: 'false', label: 'Bypass' },
+            { id: 'toggle', label: 'Toggle' },
+          ],
+          default: 'toggle',
+        },
+      ],
+      callback: async (event) => {
+        const { channel, block, state } = event.options;
+        if (state === 'toggle') {
+          await this.toggleFatChannelBlock(channel, block);
+        } else {
+          this.setFatChannelBlock(channel, block, state === 'true');
+        }
+      },
+    };
+
+    actions['set_hpf_frequency'] = {
+      name: 'Set Channel HPF Frequency',
+      options: [
+        {
+          type: 'number',
+          label: 'Channel Number',
+          id: 'channel',
+          min: 1,
+          max: 100,
+          default: 1,
+          required: true,
+        },
+        {
+          type: 'number',
+          label: 'Frequency (Hz)',
+          id: 'frequency',
+          min: HPF_FREQ_MIN,
+          max: HPF_FREQ_MAX,
+          default: 80,
+          required: true,
+        },
+      ],
+      callback: async (event) => {
+        this.setHpfFrequency(event.options.channel, event.options.frequency);
+      },
+    };
+
+    const fatChannelSectionsOption = {
+      type: 'multidropdown',
+      label: 'Sections',
+      id: 'sections',
+      choices: sectionChoices,
+      default: sectionChoices.map((choice) => choice.id),
+    };
+
+    actions['copy_fat_channel'] = {
+      name: 'Copy Fat Channel Settings',
+      description: 'Copy HPF, gate, compressor, EQ and limiter settings from one channel to others',
+      options: [
+        {
+          type: 'number',
+          label: 'From Channel',
+          id: 'source',
+          min: 1,
+          max: 100,
+          default: 1,
+          required: true,
+        },
+        {
+          type: 'textinput',
+          label: 'To Channels (e.g. 2-8, or a channel set name)',
+          id: 'channels',
+          default: '2',
+          useVariables: true,
+        },
+        fatChannelSectionsOption,
+      ],
+      callback: async (event, context) => {
+        const channels = this.resolveChannelList(await context.parseVariablesInString(event.options.channels));
+        const settings = this.getFatChannelSettings(event.options.source, event.options.sections);
+        this.applyFatChannelSettings(
+          settings,
+          channels.filter((channel) => channel !== event.options.source),
+          `channel ${event.options.source}`
+        );
+      },
+    };
+
+    actions['store_fat_channel'] = {
+      name: 'Store Fat Channel Settings',
+      description: 'Remember the Fat Channel settings of a channel under a name, to recall onto any channel later',
+      options: [
+        {
+          type: 'number',
+          label: 'Channel Number',
+          id: 'channel',
+          min: 1,
+          max: 100,
+          default: 1,
+          required: true,
+        },
+        {
+          type: 'textinput',
+          label: 'Name',
+          id: 'slot',
+          default: 'Vocal',
+        },
+        fatChannelSectionsOption,
+      ],
+      callback: async (event) => {
+        this.storeFatChannelSlot(event.options.slot, event.options.channel, event.options.sections);
+      },
+    };
+
+    actions['recall_fat_channel'] = {
+      name: 'Recall Fat Channel Settings',
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Name',
+          id: 'slot',
+          choices: slotChoices,
+          default: slotChoices.length > 0 ? slotChoices[0].id : '',
+          allowCustom: true,
+        },
+        {
+          type: 'textinput',
+          label: 'Channels (e.g. 1-4, or a channel set name)',
+          id: 'channels',
+          default: '1',
+          useVariables: true,
+        },
+      ],
+      callback: async (event, context) => {
+        const slot = this.getFatChannelSlots()[event.options.slot];
+        if (!slot) {
+          this.log('warn', `Recall Fat Channel: nothing stored as "${event.options.slot}"`);
+          return;
+        }
+        const channels = this.resolveChannelList(await context.parseVariablesInString(event.options.channels));
+        this.applyFatChannelSettings(slot, channels, `"${event.options.slot}"`);
+      },
+    };
+
+    const monitorSwitches = GLOBAL_FLAGS.filter((flag) => flag.monitor).map((flag) => ({ id: flag.id, label: flag.label }));
+
+    actions['set_monitor_switch'] = {
+      name: 'Monitor Dim/Mute/Mono/Talkback',
+      description: 'Use On on press and Off on release for momentary talkback',
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Switch',
+          id: 'flag',
+          choices: monitorSwitches,
+          default: 'monitorDim',
+        },
+        {
+          type: 'dropdown',
+          label: 'State',
+          id: 'state',
+          choices: [
+            { id: 'true', label: 'On' },
+            { id: 'false', label: 'Off' },
+            { id: 'toggle', label: 'Toggle' },
+          ],
+          default: 'toggle',
+        },
+      ],
+      callback: async (event) => {
+        const { flag, state } = event.options;
+        if (state === 'toggle') {
+          await this.toggleGlobalFlag(flag);
+        } else {
+          this.setGlobalFlag(flag, state === 'true');
+        }
+      },
+    };
+
+    actions['set_monitor_level'] = {
+      name: 'Set Monitor/Headphone Level',
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Output',
+          id: 'output',
+          choices: MONITOR_LEVELS.map((level) => ({ id: level.id, label: level.label })),
+          default: 'monitor',
+        },
+        {
+          type: 'dropdown',
+          label: 'Action',
+          id: 'mode',
+          choices: [
+            { id: 'set', label: 'Set level' },
+            { id: 'nudge', label: 'Nudge level' },
+          ],
+          default: 'set',
+        },
+        {
+          type: 'number',
+          label: 'Level (dB)',
+          id: 'level',
+          min: MONITOR_DB_MIN,
+          max: 0,
+          step: 0.5,
+          default: -20,
+          isVisible: (options) => options.mode === 'set',
+        },
+        {
+          type: 'number',
+          label: 'Step (dB, negative to lower)',
+          id: 'step',
+          min: -20,
+          max: 20,
+          step: 0.5,
+          default: 1,
+          isVisible: (options) => options.mode === 'nudge',
+        },
+      ],
+      callback: async (event) => {
+        if (event.options.mode === 'nudge') {
+          this.nudgeMonitorLevel(event.options.output, event.options.step);
+        } else {
+          this.setMonitorLevel(event.options.output, event.options.level);
+        }
+      },
+    };
+
+    actions['select_speakers'] = {
+      name: 'Select Monitor Speakers',
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Speakers',
+          id: 'speakers',
+          choices: SPEAKER_CHOICES,
+          default: 0,
+        },
+      ],
+      callback: async (event) => {
+        this.writeParameter(SPEAKER_SELECT_PATH, Number(event.options.speakers));
+      },
+    };
+
+    actions['set_headphone_source'] = {
+      name: 'Set Headphone Source',
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Headphones',
+          id: 'phones',
+          choices: HEADPHONE_OUTPUTS.map((output) => ({ id: output, label: `Headphones ${output}` })),
+          default: 1,
+        },
+        {
+          type: 'dropdown',
+          label: 'Source',
+          id: 'source',
+          choices: HEADPHONE_SOURCES,
+          default: 0,
+        },
+      ],
+      callback: async (event) => {
+        this.writeParameter(`global/phones${event.options.phones}Source`, Number(event.options.source));
+      },
+    };
+
+    actions['set_sample_rate'] = {
+      name: 'Set Sample Rate',
+      description: `Changing the sample rate interrupts audio, so it must be confirmed with a second press within ${SYSTEM_CONFIRM_WINDOW / 1000}s`,
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Sample Rate',
+          id: 'rate',
+          choices: SAMPLE_RATES.map((rate, index) => ({ id: index, label: `${rate / 1000} kHz` })),
+          default: 1,
+        },
+      ],
+      callback: async (event) => {
+        const index = Number(event.options.rate);
+        this.requestSystemChange(SAMPLE_RATE_PATH, index, `Sample rate ${SAMPLE_RATES[index] / 1000} kHz`);
+      },
+    };
+
+    actions['set_clock_source'] = {
+      name: 'Set Clock Source',
+      description: `Changing the clock source can interrupt audio, so it must be confirmed with a second press within ${SYSTEM_CONFIRM_WINDOW / 1000}s`,
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Clock Source',
+          id: 'source',
+          choices: CLOCK_SOURCES.map((label, index) => ({ id: index, label })),
+          default: 0,
+        },
+      ],
+      callback: async (event) => {
+        const index = Number(event.options.source);
+        this.requestSystemChange(CLOCK_SOURCE_PATH, index, `Clock source ${CLOCK_SOURCES[index]}`);
+      },
+    };
+
+    const channelListOption = {
+      type: 'textinput',
+      label: 'Channels (e.g. 1-8,12,15, all or a channel set name)',
+      id: 'channels',
+      default: '1-8',
+      useVariables: true,
+    };
+
+    actions['batch_channel_flag'] = {
+      name: 'Multi-Channel Mute/Solo/48V/HPF/Pad',
+      description: 'Change a switch on several channels at once, sent as one burst',
+      options: [
+        channelListOption,
+        {
+          type: 'dropdown',
+          label: 'Switch',
+          id: 'flag',
+          choices: CHANNEL_FLAGS.map((flag) => ({ id: flag.id, label: flag.label })),
+          default: 'mute',
+        },
+        {
+          type: 'dropdown',
+          label: 'Action',
+          id: 'mode',
+          choices: [
+            { id: 'on', label: 'On' },
+            { id: 'off', label: 'Off' },
+            { id: 'toggle', label: 'Toggle together (all on, or all off when all are on)' },
+            { id: 'invert', label: 'Invert each channel' },
+          ],
+          default: 'toggle',
+        },
+      ],
+      callback: async (event, context) => {
+        const channels = this.resolveChannelList(await context.parseVariablesInString(event.options.channels));
+        await this.batchChannelFlag(channels, event.options.flag, event.options.mode);
+      },
+    };
+
+    actions['release_batch_48v'] = {
+      name: 'Release Multi-Channel 48V Button',
+      description: 'Put on the button release of a multi-channel 48V button when the 48V interlock is set to hold',
+      options: [channelListOption],
+      callback: async (event, context) => {
+        const channels = this.resolveChannelList(await context.parseVariablesInString(event.options.channels));
+        this.releasePhantomHold(channels);
+      },
+    };
+
+    actions['batch_fader_level'] = {
+      name: 'Multi-Channel Fader Level',
+      description: 'Set or nudge the faders of several channels at once, sent as one burst',
+      options: [
+        channelListOption,
+        {
+          type: 'dropdown',
+          label: 'Action',
+          id: 'mode',
+          choices: [
+            { id: 'set', label: 'Set level' },
+            { id: 'nudge', label: 'Nudge level' },
+          ],
+          default: 'set',
+        },
+        {
+          type: 'number',
+          label: 'Level (dB)',
+          id: 'level',
+          min: FADER_DB_MIN,
+          max: FADER_DB_MAX,
+          step: 0.5,
+          default: 0,
+          isVisible: (options) => options.mode === 'set',
+        },
+        {
+          type: 'number',
+          label: 'Step (dB, negative to lower)',
+          id: 'step',
+          min: -20,
+          max: 20,
+          step: 0.5,
+          default: 1,
+          isVisible: (options) => options.mode === 'nudge',
+        },
+      ],
+      callback: async (event, context) => {
+        const channels = this.resolveChannelList(await context.parseVariablesInString(event.options.channels));
+        if (event.options.mode === 'nudge') {
+          this.batchNudgeFaderLevel(channels, event.options.step);
+        } else {
+          this.batchSetFaderLevel(channels, event.options.level);
+        }
+      },
+    };
+
+    actions['set_parameter'] = {
+      name: 'Set Parameter (Any Path)',
+      description: 'Send a value to any UC parameter path, e.g. line/ch1/pan',
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Parameter Path',
+          id: 'path',
+          choices: this.getParameterPathChoices(),
+          default: '',
+          allowCustom: true,
+        },
+        {
+          type: 'dropdown',
+          label: 'Mode',
+          id: 'mode',
+          choices: [
+            { id: 'set', label: 'Set' },
+            { id: 'toggle', label: 'Toggle (0 / 1)' },
+            { id: 'step', label: 'Step' },
+          ],
+          default: 'set',
+        },
+        {
+          type: 'dropdown',
+          label: 'Value Type',
+          id: 'valueType',
+          choices: [
+            { id: 'float', label: 'Float' },
+            { id: 'boolean', label: 'Boolean' },
+            { id: 'string', label: 'String' },
+          ],
+          default: 'float',
+          isVisible: (options) => options.mode === 'set',
+        },
+        {
+          type: 'textinput',
+          label: 'Value',
+          id: 'value',
+          default: '0',
+          isVisible: (options) => options.mode === 'set' && options.valueType !== 'boolean',
+        },
+        {
+          type: 'dropdown',
+          label: 'Value',
+          id: 'boolValue',
+          choices: [
+            { id: 'true', label: 'On' },
+            { id: 'false', label: 'Off' },
+          ],
+          default: 'true',
+          isVisible: (options) => options.mode === 'set' && options.valueType === 'boolean',
+        },
+        {
+          type: 'number',
+          label: 'Step (negative to decrease)',
+          id: 'step',
+          min: -1,
+          max: 1,
+          step: 0.01,
+          default: 0.05,
+          isVisible: (options) => options.mode === 'step',
+        },
+      ],
+      callback: async (event) => {
+        const { path, mode } = event.options;
+        if (!path) {
+          this.log('warn', 'Set Parameter: no path given');
+          return;
+        }
+
+        if (mode === 'toggle') {
+          await this.toggleParameter(path);
+        } else if (mode === 'step') {
+          this.stepParameter(path, event.options.step);
+        } else if (event.options.valueType === 'boolean') {
+          this.setParameter(path, event.options.boolValue === 'true' ? 1.0 : 0.0);
+        } else if (event.options.valueType === 'string') {
+          this.setParameter(path, String(event.options.value));
+        } else {
+          const value = parseFloat(event.options.value);
+          if (isNaN(value)) {
+            this.log('warn', `Set Parameter: "${event.options.value}" is not a number`);
+            return;
+          }
+          this.setParameter(path, value);
+        }
+      },
+    };
+
+    this.setActionDefinitions(actions);
+  }
+
+  sendPacket(packet) {
+    if (this.tcpClient && !this.tcpClient.destroyed) {
+      this.recordFrame('out', 'tcp', packet);
+      this.tcpClient.write(packet);
+    } else {
+      this.log('error', 'TCP client is not connected');
+    }
+  }
+
+initFeedbacks() {
+    const feedbacks = {};
+
+    // Feedback for Channel Mute State
+    feedbacks['channel_mute_state'] = {
+      type: 'boolean',
+      name: 'Change Button Color by Channel Mute State',
+      description: 'Change the button color based on the mute state of a channel',
+      options: [
+        {
+          type: 'number',
+          label: 'Channel Number',
+          id: 'channel',
+          min: 1,
+          max: 100,
+          default: 1,
+          required: true,
+        },
+        {
+          type: 'colorpicker',
+          label: 'Muted Color',
+          id: 'mutedColor',
+          default: combineRgb(255, 0, 0), // Red
+        },
+        {
+          type: 'colorpicker',
+          label: 'Unmuted Color',
+          id: 'unmutedColor',
+          default: combineRgb(0, 255, 0), // Green
+        },
+      ],
+      callback: (feedback) => {
+      const channel = feedback.options.channel;
+      const channelState = this.getChannelState(channel);
+
+      // Add logging
+//       this.log('info', `Feedback callback called for channel ${channel}`);
+//       this.log('info', `Channel state: ${JSON.stringify(channelState)}`);
+
+      if (channelState && typeof channelState.mute === 'boolean') {
+//         this.log('info', `Channel ${channel} mute state is ${channelState.mute}`);
+        if (channelState.mute) {
+          return { bgcolor: feedback.options.mutedColor };
+        } else {
+          return { bgcolor: feedback.options.unmutedColor };
+        }
+      }
+//       this.log('info', `Channel ${channel} mute state is unknown`);
+      return null;
+    },
+  };
+
+    feedbacks['channel_solo_state'] = {
+    type: 'boolean',
+    name: 'Change Button Color by Channel Solo State',
+    description: 'Change the button color based on the solo state of a channel',
+    options: [
+      {
+        type: 'number',
+        label: 'Channel Number',
+        id: 'channel',
+        min: 1,
+        max: 100,
+        default: 1,
+        required: true,
+      },
+      {
+        type: 'colorpicker',
+        label: 'Solo Active Color',
+        id: 'soloColor',
+        default: combineRgb(255, 255, 0), // Yellow
+      },
+      {
+        type: 'colorpicker',
+        label: 'Solo Inactive Color',
+        id: 'normalColor',
+        default: combineRgb(0, 0, 0), // Black
+      },
+    ],
+    callback: (feedback) => {
+      const channel = feedback.options.channel;
+      const channelState = this.getChannelState(channel);
+
+      if (channelState && typeof channelState.solo === 'boolean') {
+        if (channelState.solo) {
+          return { bgcolor: feedback.options.soloColor };
+        } else {
+          return { bgcolor: feedback.options.normalColor };
+        }
+      }
+      return null;
+    },
+  };
+
+  feedbacks['channel_hpf_state'] = {
+    type: 'boolean',
+    name: 'Change Button Color by Channel HPF State',
+    description: 'Change the button color based on the hpf state of a channel',
+    options: [
+      {
+        type: 'number',
+        label: 'Channel Number',
+        id: 'channel',
+        min: 1,
+        max: 100,
+        default: 1,
+        required: true,
+      },
+      {
+        type: 'colorpicker',
+        label: 'HPF Active Color',
+        id: 'hpfColor',
+        default: combineRgb(85, 85, 255), // Blue
+      },
+      {
+        type: 'colorpicker',
+        label: 'HPF Inactive Color',
+        id: 'normalColor',
+        default: combineRgb(0, 0, 0), // Black
+      },
+    ],
+    callback: (feedback) => {
+      const channel = feedback.options.channel;
+      const channelState = this.getChannelState(channel);
+
+      if (channelState && typeof channelState.hpf === 'boolean') {
+        if (channelState.hpf) {
+          return { bgcolor: feedback.options.hpfColor };
+        } else {
+          return { bgcolor: feedback.options.normalColor };
+        }
+      }
+      return null;
+    },
+  };
+  feedbacks['channel_48v_state'] = {
+  type: 'boolean',
+  name: 'Change Button Color by Channel 48V State',
+  description: 'Change the button color based on the 48V state of a channel',
+  options: [
+    {
+      type: 'number',
+      label: 'Channel Number',
+      id: 'channel',
+      min: 1,
+      max: 100,
+      default: 1,
+      required: true,
+    },
+    {
+      type: 'colorpicker',
+      label: '48V On Color',
+      id: 'onColor',
+      default: combineRgb(0, 0, 255), // Blue
+    },
+    {
+      type: 'colorpicker',
+      label: '48V Off Color',
+      id: 'offColor',
+      default: combineRgb(0, 0, 0), // Black
+    },
+  ],
+  callback: (feedback) => {
+    const channel = feedback.options.channel;
+    const channelState = this.getChannelState(channel);
+
+    if (channelState && typeof channelState['48v'] === 'boolean') {
+      if (channelState['48v']) {
+        return { bgcolor: feedback.options.onColor };
+      } else {
+        return { bgcolor: feedback.options.offColor };
+      }
+    }
+    return null;
+  },
+};
+
+  feedbacks['channel_pad_state'] = {
+    type: 'boolean',
+    name: 'Change Button Color by Channel Pad State',
+    description: 'Change the button color based on the pad state of a channel',
+    options: [
+      {
+        type: 'number',
+        label: 'Channel Number',
+        id: 'channel',
+        min: 1,
+        max: 100,
+        default: 1,
+        required: true,
+      },
+      {
+        type: 'colorpicker',
+        label: 'Pad Active Color',
+        id: 'padColor',
+        default: combineRgb(255, 128, 0), // Orange
+      },
+      {
+        type: 'colorpicker',
+        label: 'Pad Inactive Color',
+        id: 'normalColor',
+        default: combineRgb(0, 0, 0), // Black
+      },
+    ],
+    callback: (feedback) => {
+      const channel = feedback.options.channel;
+      const channelState = this.getChannelState(channel);
+
+      if (channelState && typeof channelState.pad === 'boolean') {
+        if (channelState.pad) {
+          return { bgcolor: feedback.options.padColor };
+        } else {
+          return { bgcolor: feedback.options.normalColor };
+        }
+      }
+      return null;
+    },
+  };
+
+    // Feedback for Mixer Bypass State
+    feedbacks['mixer_bypass_state'] = {
+      type: 'boolean',
+      name: 'Change Button Color by Mixer Bypass State',
+      description: 'Change the button color based on the mixer bypass state',
+      options: [
+        {
+          type: 'colorpicker',
+          label: 'Bypass Active Color',
+          id: 'bypassedColor',
+          default: combineRgb(255, 0, 0), // Red
+        },
+        {
+          type: 'colorpicker',
+          label: 'Bypass Inactive Color',
+          id: 'activeColor',
+          default: combineRgb(0, 255, 0), // Green
+        },
+      ],
+      callback: (feedback) => {
+        const mixerBypassState = this.getMixerBypass();
+        if (typeof mixerBypassState === 'boolean') {
+          if (mixerBypassState) {
+            return { bgcolor: feedback.options.bypassedColor };
+          } else {
+            return { bgcolor: feedback.options.activeColor };
+          }
+        }
+        return null;
+      },
+    };
+
+    feedbacks['monitor_switch_state'] = {
+      type: 'boolean',
+      name: 'Monitor Dim/Mute/Mono/Talkback On',
+      defaultStyle: {
+        bgcolor: combineRgb(255, 153, 0),
+        color: combineRgb(0, 0, 0),
+      },
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Switch',
+          id: 'flag',
+          choices: GLOBAL_FLAGS.filter((flag) => flag.monitor).map((flag) => ({ id: flag.id, label: flag.label })),
+          default: 'monitorDim',
+        },
+      ],
+      callback: (feedback) => {
+        return this.getGlobalFlag(feedback.options.flag) === true;
+      },
+    };
+
+    feedbacks['speakers_selected'] = {
+      type: 'boolean',
+      name: 'Monitor Speakers Selected',
+      defaultStyle: {
+        bgcolor: combineRgb(0, 153, 0),
+        color: combineRgb(255, 255, 255),
+      },
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Speakers',
+          id: 'speakers',
+          choices: SPEAKER_CHOICES,
+          default: 0,
+        },
+      ],
+      callback: (feedback) => {
+        const value = this.store.get(SPEAKER_SELECT_PATH);
+        return typeof value === 'number' && Math.round(value) === Number(feedback.options.speakers);
+      },
+    };
+
+    feedbacks['headphone_source'] = {
+      type: 'boolean',
+      name: 'Headphone Source Selected',
+      defaultStyle: {
+        bgcolor: combineRgb(0, 153, 0),
+        color: combineRgb(255, 255, 255),
+      },
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Headphones',
+          id: 'phones',
+          choices: HEADPHONE_OUTPUTS.map((output) => ({ id: output, label: `Headphones ${output}` })),
+          default: 1,
+        },
+        {
+          type: 'dropdown',
+          label: 'Source',
+          id: 'source',
+          choices: HEADPHONE_SOURCES,
+          default: 0,
+        },
+      ],
+      callback: (feedback) => {
+        const value = this.store.get(`global/phones${feedback.options.phones}Source`);
+        return typeof value === 'number' && Math.round(value) === Number(feedback.options.source);
+      },
+    };
+
+    feedbacks['sync_lost'] = {
+      type: 'boolean',
+      name: 'Clock Sync Lost',
+      description: 'True while the device reports it is not locked to its clock source',
+      defaultStyle: {
+        bgcolor: combineRgb(255, 0, 0),
+        color: combineRgb(255, 255, 255),
+      },
+      options: [],
+      callback: () => {
+        return this.getSyncLock() === false;
+      },
+    };
+
+    feedbacks['sample_rate_unexpected'] = {
+      type: 'boolean',
+      name: 'Unexpected Sample Rate',
+      description: 'True when the device runs at a different sample rate than the one chosen',
+      defaultStyle: {
+        bgcolor: combineRgb(255, 153, 0),
+        color: combineRgb(0, 0, 0),
+      },
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Expected Sample Rate',
+          id: 'rate',
+          choices: SAMPLE_RATES.map((rate) => ({ id: rate, label: `${rate / 1000} kHz` })),
+          default: 48000,
+        },
+      ],
+      callback: (feedback) => {
+        const rate = this.getSampleRate();
+        return rate !== undefined && rate !== Number(feedback.options.rate);
+      },
+    };
+
+    feedbacks['system_change_armed'] = {
+      type: 'boolean',
+      name: 'Sample Rate/Clock Change Pending',
+      description: 'True while a sample rate or clock source change waits for the confirm press',
+      defaultStyle: {
+        bgcolor: combineRgb(255, 153, 0),
+        color: combineRgb(0, 0, 0),
+      },
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Setting',
+          id: 'setting',
+          choices: [
+            { id: SAMPLE_RATE_PATH, label: 'Sample Rate' },
+            { id: CLOCK_SOURCE_PATH, label: 'Clock Source' },
+          ],
+          default: SAMPLE_RATE_PATH,
+        },
+      ],
+      callback: (feedback) => {
+        return !!this.systemArmed[feedback.options.setting];
+      },
+    };
+
+    feedbacks['aux_send_mute_state'] = {
+      type: 'boolean',
+      name: 'Aux Send Muted',
+      description: 'True while the send from a channel to an aux bus is muted',
+      defaultStyle: {
+        bgcolor: combineRgb(255, 0, 0),
+      },
+      options: [
+        {
+          type: 'number',
+          label: 'Channel Number',
+          id: 'channel',
+          min: 1,
+          max: 100,
+          default: 1,
+          required: true,
+        },
+        {
+          type: 'number',
+          label: 'Aux Bus',
+          id: 'aux',
+          min: 1,
+          max: 32,
+          default: 1,
+          required: true,
+        },
+      ],
+      callback: (feedback) => {
+        return this.getSendMute(feedback.options.channel, feedback.options.aux) === true;
+      },
+    };
+
+    feedbacks['aux_send_level'] = {
+      type: 'boolean',
+      name: 'Aux Send Level Above Threshold',
+      description: 'True while the send from a channel to an aux bus is at or above a level',
+      defaultStyle: {
+        bgcolor: combineRgb(0, 153, 0),
+      },
+      options: [
+        {
+          type: 'number',
+          label: 'Channel Number',
+          id: 'channel',
+          min: 1,
+          max: 100,
+          default: 1,
+          required: true,
+        },
+        {
+          type: 'number',
+          label: 'Aux Bus',
+          id: 'aux',
+          min: 1,
+          max: 32,
+          default: 1,
+          required: true,
+        },
+        {
+          type: 'number',
+          label: 'Threshold (dB)',
+          id: 'threshold',
+          min: FADER_DB_MIN,
+          max: FADER_DB_MAX,
+          step: 0.5,
+          default: -30,
+          required: true,
+        },
+      ],
+      callback: (feedback) => {
+        const value = this.store.get(this.getSendLevelPath(feedback.options.channel, feedback.options.aux));
+        if (typeof value !== 'number') {
+          return false;
+        }
+        return floatToDb(value) >= feedback.options.threshold;
+      },
+    };
+
+    feedbacks['sends_on_fader_active'] = {
+      type: 'boolean',
+      name: 'Sends on Fader Active',
+      description: 'True while sends on fader is targeting the given aux bus',
+      defaultStyle: {
+        bgcolor: combineRgb(255, 153, 0),
+        color: combineRgb(0, 0, 0),
+      },
+      options: [
+        {
+          type: 'number',
+          label: 'Aux Bus',
+          id: 'aux',
+          min: 1,
+          max: 32,
+          default: 1,
+          required: true,
+        },
+      ],
+      callback: (feedback) => {
+        return this.sendsOnFaderAux === feedback.options.aux;
+      },
+    };
+
+    feedbacks['active_preset'] = {
+      type: 'boolean',
+      name: 'Active Scene / Project',
+      description: 'True while the given scene or project is the last one recalled from Companion',
+      defaultStyle: {
+        bgcolor: combineRgb(0, 102, 204),
+        color: combineRgb(255, 255, 255),
+      },
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Type',
+          id: 'presetType',
+          choices: Object.entries(PRESET_TYPES).map(([id, presetType]) => ({ id, label: presetType.label })),
+          default: 'scene',
+        },
+        {
+          type: 'dropdown',
+          label: 'Scene',
+          id: 'scene',
+          choices: this.getPresetChoices('scene'),
+          default: '',
+          allowCustom: true,
+          isVisible: (options) => options.presetType === 'scene',
+        },
+        {
+          type: 'dropdown',
+          label: 'Project',
+          id: 'project',
+          choices: this.getPresetChoices('project'),
+          default: '',
+          allowCustom: true,
+          isVisible: (options) => options.presetType === 'project',
+        },
+      ],
+      callback: (feedback) => {
+        const presetType = feedback.options.presetType;
+        const active = this.activePreset[presetType];
+        return !!active && active === feedback.options[presetType];
+      },
+    };
+
+    feedbacks['group_mute_state'] = {
+      type: 'boolean',
+      name: 'DCA / Mute Group Muted',
+      description: 'True while a DCA group or mute group is muted',
+      defaultStyle: {
+        bgcolor: combineRgb(255, 0, 0),
+      },
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Group Type',
+          id: 'groupType',
+          choices: Object.entries(GROUP_TYPES).map(([id, group]) => ({ id, label: group.label })),
+          default: 'dca',
+        },
+        {
+          type: 'number',
+          label: 'Group Number',
+          id: 'group',
+          min: 1,
+          max: 32,
+          default: 1,
+          required: true,
+        },
+      ],
+      callback: (feedback) => {
+        return this.getGroupMute(feedback.options.groupType, feedback.options.group) === true;
+      },
+    };
+
+    feedbacks['channel_effective_mute'] = {
+      type: 'boolean',
+      name: 'Channel Muted by Group',
+      description: 'True while a channel is silenced by a muted DCA or mute group it belongs to',
+      defaultStyle: {
+        bgcolor: combineRgb(153, 0, 0),
+      },
+      options: [
+        {
+          type: 'number',
+          label: 'Channel Number',
+          id: 'channel',
+          min: 1,
+          max: 100,
+          default: 1,
+          required: true,
+        },
+        {
+          type: 'checkbox',
+          label: 'Also when the channel itself is muted',
+          id: 'includeOwnMute',
+          default: false,
+        },
+      ],
+      callback: (feedback) => {
+        const channel = feedback.options.channel;
+        const ownMute = this.getChannelState(channel).mute === true;
+        if (ownMute) {
+          return !!feedback.options.includeOwnMute;
+        }
+        return this.getMutingGroups(channel).length > 0;
+      },
+    };
+
+    const meterOptions = [
+      {
+        type: 'dropdown',
+        label: 'Meter',
+        id: 'meterType',
+        choices: METER_TYPES.map((meterType) => ({ id: meterType.id, label: meterType.label })),
+        default: 'input',
+      },
+      {
+        type: 'number',
+        label: 'Channel / Bus Number',
+        id: 'channel',
+        min: 1,
+        max: 100,
+        default: 1,
+        required: true,
+      },
+    ];
+
+    feedbacks['meter_bar'] = {
+      type: 'advanced',
+      name: 'Level Meter Bar',
+      description: 'Draw a level meter with peak hold along the edge of the button',
+      options: [
+        ...meterOptions,
+        {
+          type: 'dropdown',
+          label: 'Position',
+          id: 'position',
+          choices: [
+            { id: 'right', label: 'Right edge' },
+            { id: 'left', label: 'Left edge' },
+            { id: 'bottom', label: 'Bottom edge' },
+          ],
+          default: 'right',
+        },
+      ],
+      callback: (feedback) => {
+        const size = feedback.image || { width: 72, height: 72 };
+        return this.drawMeterBar(feedback.options.meterType, feedback.options.channel, feedback.options.position, size);
+      },
+    };
+
+    feedbacks['meter_clip'] = {
+      type: 'boolean',
+      name: 'Level Meter Clip',
+      description: 'True while a meter has clipped within the peak hold time',
+      defaultStyle: {
+        bgcolor: combineRgb(255, 0, 0),
+        color: combineRgb(255, 255, 255),
+      },
+      options: meterOptions,
+      callback: (feedback) => {
+        const clipUntil = this.meterClips[feedback.options.meterType][feedback.options.channel - 1];
+        return !!clipUntil && clipUntil > Date.now();
+      },
+    };
+
+    feedbacks['channel_color'] = {
+      type: 'advanced',
+      name: 'Channel Color',
+      description: 'Tint the button with the color the channel has on the console',
+      options: [
+        {
+          type: 'number',
+          label: 'Channel Number',
+          id: 'channel',
+          min: 1,
+          max: 100,
+          default: 1,
+          required: true,
+        },
+        {
+          type: 'checkbox',
+          label: 'Pick black or white text for contrast',
+          id: 'contrastText',
+          default: true,
+        },
+      ],
+      callback: (feedback) => {
+        const color = this.getChannelColor(feedback.options.channel);
+        if (!color) {
+          return {};
+        }
+        const style = { bgcolor: combineRgb(color.r, color.g, color.b) };
+        if (feedback.options.contrastText) {
+          const luminance = 0.299 * color.r + 0.587 * color.g + 0.114 * color.b;
+          style.color = luminance > 150 ? combineRgb(0, 0, 0) : combineRgb(255, 255, 255);
+        }
+        return style;
+      },
+    };
+
+    feedbacks['channel_gain_above'] = {
+      type: 'boolean',
+      name: 'Channel Preamp Gain Above Threshold',
+      description: 'True while the preamp gain of a channel is above a level',
+      defaultStyle: {
+        bgcolor: combineRgb(255, 153, 0),
+        color: combineRgb(0, 0, 0),
+      },
+      options: [
+        {
+          type: 'number',
+          label: 'Channel Number',
+          id: 'channel',
+          min: 1,
+          max: 100,
+          default: 1,
+          required: true,
+        },
+        {
+          type: 'number',
+          label: 'Threshold (dB)',
+          id: 'threshold',
+          min: CHANNEL_CONTROLS.gain.min,
+          max: CHANNEL_CONTROLS.gain.max,
+          step: 0.5,
+          default: 40,
+          required: true,
+        },
+      ],
+      callback: (feedback) => {
+        const gain = this.getChannelControl(feedback.options.channel, 'gain');
+        return gain !== undefined && gain > feedback.options.threshold;
+      },
+    };
+
+    feedbacks['fat_channel_block_state'] = {
+      type: 'boolean',
+      name: 'Fat Channel Block Enabled',
+      description: 'True while a gate, compressor, EQ or limiter block of a channel is enabled',
+      defaultStyle: {
+        bgcolor: combineRgb(0, 153, 0),
+        color: combineRgb(255, 255, 255),
+      },
+      options: [
+        {
+          type: 'number',
+          label: 'Channel Number',
+          id: 'channel',
+          min: 1,
+          max: 100,
+          default: 1,
+          required: true,
+        },
+        {
+          type: 'dropdown',
+          label: 'Block',
+          id: 'block',
+          choices: Object.entries(FAT_CHANNEL_SECTIONS)
+            .filter(([, section]) => section.onPath)
+            .map(([id, section]) => ({ id, label: section.label })),
+          default: 'comp',
+        },
+      ],
+      callback: (feedback) => {
+        return this.getFatChannelBlock(feedback.options.channel, feedback.options.block) === true;
+      },
+    };
+
+    feedbacks['channel_gain_reduction'] = {
+      type: 'boolean',
+      name: 'Channel Gain Reduction Active',
+      description: 'True while the gate or compressor of a channel is reducing gain, on consoles that meter it',
+      defaultStyle: {
+        bgcolor: combineRgb(255, 204, 0),
+        color: combineRgb(0, 0, 0),
+      },
+      options: [
+        {
+          type: 'number',
+          label: 'Channel Number',
+          id: 'channel',
+          min: 1,
+          max: 100,
+          default: 1,
+          required: true,
+        },
+        {
+          type: 'dropdown',
+          label: 'Block',
+          id: 'block',
+          choices: [
+            { id: 'comp', label: 'Compressor' },
+            { id: 'gate', label: 'Gate' },
+          ],
+          default: 'comp',
+        },
+        {
+          type: 'number',
+          label: 'Minimum Activity (% of meter)',
+          id: 'threshold',
+          min: 0,
+          max: 100,
+          default: 5,
+          required: true,
+        },
+      ],
+      callback: (feedback) => {
+        const value = this.gainReduction[feedback.options.block][feedback.options.channel - 1];
+        return typeof value === 'number' && value * 100 > feedback.options.threshold;
+      },
+    };
+
+    feedbacks['channel_48v_armed'] = {
+      type: 'boolean',
+      name: 'Channel 48V Change Pending',
+      description: 'True while a 48V change waits for the confirm press or hold',
+      defaultStyle: {
+        bgcolor: combineRgb(255, 153, 0),
+        color: combineRgb(0, 0, 0),
+      },
+      options: [
+        {
+          type: 'number',
+          label: 'Channel Number',
+          id: 'channel',
+          min: 1,
+          max: 100,
+          default: 1,
+          required: true,
+        },
+      ],
+      callback: (feedback) => {
+        return this.isPhantomArmed(feedback.options.channel);
+      },
+    };
+
+    feedbacks['parameter_unconfirmed'] = {
+      type: 'boolean',
+      name: 'Command Not Confirmed',
+      description: 'True when the console did not confirm a value we sent, for one path or any path. Needs Confirm Writes',
+      defaultStyle: {
+        bgcolor: combineRgb(255, 153, 0),
+        color: combineRgb(0, 0, 0),
+      },
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Parameter Path (empty for any)',
+          id: 'path',
+          choices: this.getParameterPathChoices(),
+          default: '',
+          allowCustom: true,
+        },
+        {
+          type: 'checkbox',
+          label: 'Also while waiting for confirmation',
+          id: 'includePending',
+          default: false,
+        },
+      ],
+      callback: (feedback) => {
+        return this.isWriteUnconfirmed(feedback.options.path, feedback.options.includePending);
+      },
+    };
+
+    feedbacks['parameter_value'] = {
+      type: 'boolean',
+      name: 'Parameter Value (Any Path)',
+      description: 'Compare the last known value of any UC parameter path',
+      defaultStyle: {
+        bgcolor: combineRgb(255, 0, 0),
+        color: combineRgb(255, 255, 255),
+      },
+      options: [
+        {
+          type: 'dropdown',
+          label: 'Parameter Path',
+          id: 'path',
+          choices: this.getParameterPathChoices(),
+          default: '',
+          allowCustom: true,
+        },
+        {
+          type: 'dropdown',
+          label: 'Comparison',
+          id: 'comparison',
+          choices: [
+            { id: 'eq', label: '=' },
+            { id: 'ne', label: '!=' },
+            { id: 'gt', label: '>' },
+            { id: 'gte', label: '>=' },
+            { id: 'lt', label: '<' },
+            { id: 'lte', label: '<=' },
+          ],
+          default: 'eq',
+        },
+        {
+          type: 'textinput',
+          label: 'Value (number, true/false or text)',
+          id: 'value',
+          default: '1',
+        },
+      ],
+      subscribe: (feedback) => {
+        this.parameterFeedbacks[feedback.id] = feedback.options.path;
+      },
+      unsubscribe: (feedback) => {
+        delete this.parameterFeedbacks[feedback.id];
+      },
+      callback: (feedback) => {
+        this.parameterFeedbacks[feedback.id] = feedback.options.path;
+        const current = this.store.get(feedback.options.path);
+        if (current === undefined) {
+          return false;
+        }
+        return compareParameterValue(current, feedback.options.comparison, feedback.options.value);
+      },
+    };
+
+    this.setFeedbackDefinitions(feedbacks);
+  }
+
+  initVariables() {
+    this.variableChannels = [];
+    this.variableAuxes = [];
+    this.variableGroups = { dca: [], mutegroup: [] };
+    this.updateVariableDefinitions();
+    this.updateGlobalVariables();
+  }
+
+  updateVariableDefinitions() {
+    const variables = [
+      { variableId: 'main_level', name: 'Main Fader Level (dB)' },
+      { variableId: 'sends_on_fader', name: 'Sends on Fader Aux (0 = off)' },
+      { variableId: 'active_project', name: 'Last Recalled Project' },
+      { variableId: 'active_scene', name: 'Last Recalled Scene' },
+      { variableId: 'device_name', name: 'Controlled Device Name' },
+      { variableId: 'last_resync', name: 'Time of the Last Resync' },
+      { variableId: 'last_resync_changes', name: 'Parameters Changed by the Last Resync' },
+      { variableId: 'last_resync_paths', name: 'Parameter Paths Changed by the Last Resync' },
+      { variableId: 'unconfirmed_count', name: 'Number of Unconfirmed Commands' },
+      { variableId: 'unconfirmed_paths', name: 'Parameters With Unconfirmed Commands' },
+    ];
+
+    for (const flag of GLOBAL_FLAGS) {
+      variables.push({ variableId: flag.variableId, name: flag.label });
+    }
+    for (const level of MONITOR_LEVELS) {
+      variables.push({ variableId: level.variableId, name: `${level.label} Level (dB)` });
+    }
+    variables.push({ variableId: 'speakers', name: 'Selected Monitor Speakers' });
+    variables.push({ variableId: 'sample_rate', name: 'Sample Rate (Hz)' });
+    variables.push({ variableId: 'clock_source', name: 'Clock Source' });
+    variables.push({ variableId: 'sync_locked', name: 'Clock Sync Locked' });
+    for (const info of SYSTEM_INFO) {
+      variables.push({ variableId: info.variableId, name: info.label });
+    }
+    for (const output of HEADPHONE_OUTPUTS) {
+      variables.push({ variableId: `phones${output}_source`, name: `Headphones ${output} Source` });
+    }
+
+    for (const meterType of METER_TYPES) {
+      for (let i = 1; i <= this.variableMeters[meterType.id]; i++) {
+        variables.push({ variableId: `${meterType.variablePrefix}${i}`, name: `${meterType.label} ${i} Meter (dBFS)` });
+      }
+    }
+
+    for (const [groupType, group] of Object.entries(GROUP_TYPES)) {
+      for (const groupNumber of this.variableGroups[groupType]) {
+        variables.push({
+          variableId: `${group.variablePrefix}${groupNumber}_mute`,
+          name: `${group.label} ${groupNumber} Mute`,
+        });
+        if (groupType === 'dca') {
+          variables.push({
+            variableId: `${group.variablePrefix}${groupNumber}_level`,
+            name: `${group.label} ${groupNumber} Level (dB)`,
+          });
+        }
+      }
+    }
+
+    for (const channelNumber of this.variableChannels) {
+      variables.push({ variableId: `ch${channelNumber}_name`, name: `Channel ${channelNumber} Name` });
+      variables.push({ variableId: `ch${channelNumber}_color`, name: `Channel ${channelNumber} Color (hex)` });
+      for (const flag of CHANNEL_FLAGS) {
+        variables.push({
+          variableId: `ch${channelNumber}_${flag.id}`,
+          name: `Channel ${channelNumber} ${flag.label}`,
+        });
+      }
+      variables.push({ variableId: `ch${channelNumber}_level`, name: `Channel ${channelNumber} Fader Level (dB)` });
+      variables.push(
+        { variableId: `ch${channelNumber}_gain`, name: `Channel ${channelNumber} Preamp Gain (dB)` },
+        { variableId: `ch${channelNumber}_trim`, name: `Channel ${channelNumber} Digital Trim (dB)` },
+        { variableId: `ch${channelNumber}_pan`, name: `Channel ${channelNumber} Pan (L/R %)` }
+      );
+      for (const auxNumber of this.variableAuxes) {
+        variables.push(
+          {
+            variableId: `ch${channelNumber}_aux${auxNumber}_level`,
+            name: `Channel ${channelNumber} Aux ${auxNumber} Send Level (dB)`,
+          },
+          {
+            variableId: `ch${channelNumber}_aux${auxNumber}_mute`,
+            name: `Channel ${channelNumber} Aux ${auxNumber} Send Mute`,
+          }
+        );
+      }
+    }
+
+    this.setVariableDefinitions(variables);
+  }
+
+  // Adds definitions for channels we have not seen before. Returns true if the definitions changed.
+  defineChannelVariables(channelNumbers) {
+    const missing = channelNumbers.filter((channelNumber) => !this.variableChannels.includes(channelNumber));
+    if (missing.length === 0) {
+      return false;
+    }
+
+    this.variableChannels = [...this.variableChannels, ...missing].sort((a, b) => a - b);
+    this.updateVariableDefinitions();
+    return true;
+  }
+
+  // Adds send definitions for aux buses we have not seen before. Returns true if the definitions changed.
+  defineAuxVariables(auxNumbers) {
+    const missing = auxNumbers.filter((auxNumber) => !this.variableAuxes.includes(auxNumber));
+    if (missing.length === 0) {
+      return false;
+    }
+
+    this.variableAuxes = [...this.variableAuxes, ...missing].sort((a, b) => a - b);
+    this.updateVariableDefinitions();
+    return true;
+  }
+
+  // Adds definitions for groups we have not seen before. Returns true if the definitions changed.
+  defineGroupVariables(groupType, groupNumbers) {
+    const missing = groupNumbers.filter((groupNumber) => !this.variableGroups[groupType].includes(groupNumber));
+    if (missing.length === 0) {
+      return false;
+    }
+
+    this.variableGroups[groupType] = [...this.variableGroups[groupType], ...missing].sort((a, b) => a - b);
+    this.updateVariableDefinitions();
+    return true;
+  }
+
+  getGroupVariableValues(groupType, groupNumber) {
+    const group = GROUP_TYPES[groupType];
+    const values = {
+      [`${group.variablePrefix}${groupNumber}_mute`]: this.getGroupMute(groupType, groupNumber),
+    };
+    if (groupType === 'dca') {
+      values[`${group.variablePrefix}${groupNumber}_level`] = formatDb(
+        this.store.get(`${group.prefix}/ch${groupNumber}/volume`)
+      );
+    }
+    return values;
+  }
+
+  updateGroupVariables(groupType, groupNumber) {
+    if (this.defineGroupVariables(groupType, [groupNumber])) {
+      this.updateAllVariables();
+      return;
+    }
+    this.setVariableValues(this.getGroupVariableValues(groupType, groupNumber));
+  }
+
+  getChannelVariableValues(channelNumber) {
+    const state = this.getChannelState(channelNumber);
+    const values = {
+      [`ch${channelNumber}_name`]: state.name || `Ch ${channelNumber}`,
+      [`ch${channelNumber}_color`]: state.color ? formatHexColor(state.color) : '',
+      [`ch${channelNumber}_level`]: formatDb(this.store.get(`line/ch${channelNumber}/volume`)),
+    };
+    for (const flag of CHANNEL_FLAGS) {
+      values[`ch${channelNumber}_${flag.id}`] = state[flag.id];
+    }
+    const gain = this.getChannelControl(channelNumber, 'gain');
+    const trim = this.getChannelControl(channelNumber, 'trim');
+    const pan = this.getChannelControl(channelNumber, 'pan');
+    values[`ch${channelNumber}_gain`] = gain === undefined ? '' : gain.toFixed(1);
+    values[`ch${channelNumber}_trim`] = trim === undefined ? '' : trim.toFixed(1);
+    values[`ch${channelNumber}_pan`] = pan === undefined ? '' : formatPan(pan);
+    for (const auxNumber of this.variableAuxes) {
+      values[`ch${channelNumber}_aux${auxNumber}_level`] = formatDb(
+        this.store.get(this.getSendLevelPath(channelNumber, auxNumber))
+      );
+      values[`ch${channelNumber}_aux${auxNumber}_mute`] = this.getSendMute(channelNumber, auxNumber);
+    }
+    return values;
+  }
+
+  updateChannelVariables(channelNumber) {
+    if (this.defineChannelVariables([channelNumber])) {
+      // New definitions were published, so refresh every value rather than just this channel
+      this.updateAllVariables();
+      return;
+    }
+    this.setVariableValues(this.getChannelVariableValues(channelNumber));
+  }
+
+  updateGlobalVariables() {
+    const values = {
+      main_level: formatDb(this.store.get('main/ch1/volume')),
+      sends_on_fader: this.sendsOnFaderAux,
+      active_project: this.activePreset.project,
+      active_scene: this.activePreset.scene,
+      device_name: (this.hostDevices[this.activeDeviceAddress] || {}).name || '',
+      last_resync: this.lastResync.time,
+      last_resync_changes: this.lastResync.changes,
+      last_resync_paths: this.lastResync.paths,
+      unconfirmed_count: Object.keys(this.unconfirmedWrites).length,
+      unconfirmed_paths: Object.keys(this.unconfirmedWrites).join(', '),
+    };
+    for (const flag of GLOBAL_FLAGS) {
+      values[flag.variableId] = this.getGlobalFlag(flag.id);
+    }
+    for (const level of MONITOR_LEVELS) {
+      values[level.variableId] = formatMonitorDb(this.store.get(level.path));
+    }
+    const speakers = SPEAKER_CHOICES.find((choice) => choice.id === this.store.get(SPEAKER_SELECT_PATH));
+    values.speakers = speakers ? speakers.label : '';
+    for (const output of HEADPHONE_OUTPUTS) {
+      const source = HEADPHONE_SOURCES.find((choice) => choice.id === this.store.get(`global/phones${output}Source`));
+      values[`phones${output}_source`] = source ? source.label : '';
+    }
+    values.sample_rate = this.getSampleRate() || '';
+    const clockSource = this.store.get(CLOCK_SOURCE_PATH);
+    values.clock_source = typeof clockSource === 'number' ? CLOCK_SOURCES[Math.round(clockSource)] || '' : '';
+    values.sync_locked = this.getSyncLock();
+    // Model and serial fall back to what the device announced on the network
+    const discovered = this.discoveredDevices[this.config.device] || {};
+    for (const info of SYSTEM_INFO) {
+      const value = this.store.get(info.path);
+      values[info.variableId] = value !== undefined ? String(value) : discovered[info.discovered] || '';
+    }
+    this.setVariableValues(values);
+  }
+
+  updateFaderVariable(path) {
+    const match = path.match(/^line\/ch(\d+)\/volume$/);
+    if (match) {
+      this.updateChannelVariables(parseInt(match[1], 10));
+    } else if (path === 'main/ch1/volume') {
+      this.updateGlobalVariables();
+    }
+  }
+
+  updateAllVariables() {
+    const channelNumbers = new Set(this.store.match('line/ch*/*').map(([, , [channel]]) => parseInt(channel, 10)));
+    this.defineChannelVariables(Array.from(channelNumbers));
+
+    const auxNumbers = new Set(this.store.match(/^line\/ch\d+\/aux(\d+)$/).map(([, , [aux]]) => parseInt(aux, 10)));
+    this.defineAuxVariables(Array.from(auxNumbers));
+
+    for (const [groupType, group] of Object.entries(GROUP_TYPES)) {
+      const groupNumbers = this.store.match(`${group.prefix}/ch*/*`).map(([, , [groupNumber]]) => parseInt(groupNumber, 10));
+      this.defineGroupVariables(groupType, Array.from(new Set(groupNumbers)));
+    }
+
+    const values = {};
+    for (const channelNumber of this.variableChannels) {
+      Object.assign(values, this.getChannelVariableValues(channelNumber));
+    }
+    for (const groupType of Object.keys(GROUP_TYPES)) {
+      for (const groupNumber of this.variableGroups[groupType]) {
+        Object.assign(values, this.getGroupVariableValues(groupType, groupNumber));
+      }
+    }
+    this.setVariableValues(values);
+    this.updateGlobalVariables();
+  }
+
+  initPresets() {
+    this.presetSignature = null;
+    this.updatePresets();
+  }
+
+  // Rebuilds the presets when the set of channels or their names changed since the last build
+  updatePresets() {
+    const channels = this.variableChannels.map((channelNumber) => ({
+      channelNumber,
+      name: this.getChannelState(channelNumber).name || `Ch ${channelNumber}`,
+    }));
+
+    const signature = JSON.stringify(channels);
+    if (signature === this.presetSignature) {
+      return;
+    }
+    this.presetSignature = signature;
+
+    const presets = {};
+    const black = combineRgb(0, 0, 0);
+    const white = combineRgb(255, 255, 255);
+
+    presets['mixer_bypass'] = {
+      type: 'button',
+      category: 'Bypass',
+      name: 'Toggle Mixer Bypass',
+      style: { text: 'MIXER\\nBYPASS', size: 'auto', color: white, bgcolor: black },
+      steps: [{ down: [{ actionId: 'toggle_mixer_bypass', options: {} }], up: [] }],
+      feedbacks: [
+        {
+          feedbackId: 'mixer_bypass_state',
+          options: { bypassedColor: combineRgb(255, 0, 0), activeColor: combineRgb(0, 255, 0) },
+          style: { bgcolor: combineRgb(255, 0, 0) },
+        },
+      ],
+    };
+
+    for (const flag of GLOBAL_FLAGS.filter((f) => f.monitor)) {
+      // Talkback is momentary: on while the button is held
+      const momentary = flag.id === 'talkback';
+      presets[flag.variableId] = {
+        type: 'button',
+        category: 'Monitor',
+        name: momentary ? `${flag.label} (hold)` : `Toggle ${flag.label}`,
+        style: { text: flag.label.replace('Monitor ', 'MON\\n').toUpperCase(), size: 'auto', color: white, bgcolor: black },
+        steps: [
+          {
+            down: [{ actionId: 'set_monitor_switch', options: { flag: flag.id, state: momentary ? 'true' : 'toggle' } }],
+            up: momentary ? [{ actionId: 'set_monitor_switch', options: { flag: flag.id, state: 'false' } }] : [],
+          },
+        ],
+        feedbacks: [{ feedbackId: 'monitor_switch_state', options: { flag: flag.id }, style: { bgcolor: combineRgb(255, 153, 0), color: black } }],
+      };
+    }
+
+    presets['sync_status'] = {
+      type: 'button',
+      category: 'System',
+      name: 'Clock Sync Status',
+      style: { text: `SYNC\\n$(${this.label}:sample_rate)\\n$(${this.label}:clock_source)`, size: 'auto', color: white, bgcolor: black },
+      steps: [],
+      feedbacks: [
+        { feedbackId: 'sample_rate_unexpected', options: { rate: 48000 }, style: { bgcolor: combineRgb(255, 153, 0), color: black } },
+        { feedbackId: 'sync_lost', options: {}, style: { bgcolor: combineRgb(255, 0, 0), color: white } },
+      ],
+    };
+
+    for (const speakers of SPEAKER_CHOICES) {
+      presets[`speakers_${speakers.id}`] = {
+        type: 'button',
+        category: 'Monitor',
+        name: `Select ${speakers.label}`,
+        style: { text: speakers.label.toUpperCase(), size: 'auto', color: white, bgcolor: black },
+        steps: [{ down: [{ actionId: 'select_speakers', options: { speakers: speakers.id } }], up: [] }],
+        feedbacks: [{ feedbackId: 'speakers_selected', options: { speakers: speakers.id }, style: { bgcolor: combineRgb(0, 153, 0) } }],
+      };
+    }
+
+    // Level presets work as rotary encoders like the fader presets: turn to nudge, press to set -20 dB
+    for (const level of MONITOR_LEVELS) {
+      presets[level.variableId] = {
+        type: 'button',
+        category: 'Monitor',
+        name: `${level.label} Level`,
+        options: { rotaryActions: true },
+        style: { text: `${level.label}\\n$(${this.label}:${level.variableId}) dB`, size: 'auto', color: white, bgcolor: black },
+        steps: [
+          {
+            down: [{ actionId: 'set_monitor_level', options: { output: level.id, mode: 'set', level: -20 } }],
+            up: [],
+            rotate_left: [{ actionId: 'set_monitor_level', options: { output: level.id, mode: 'nudge', step: -1 } }],
+            rotate_right: [{ actionId: 'set_monitor_level', options: { output: level.id, mode: 'nudge', step: 1 } }],
+          },
+        ],
+        feedbacks: [],
+      };
+    }
+
+    const channelPresets = [
+      {
+        category: 'Mutes',
+        id: 'mute',
+        label: 'MUTE',
+        actionId: 'toggle_channel_mute',
+        feedbackId: 'channel_mute_state',
+        feedbackOptions: { mutedColor: combineRgb(255, 0, 0), unmutedColor: combineRgb(0, 255, 0) },
+        activeColor: combineRgb(255, 0, 0),
+      },
+      {
+        category: 'Solos',
+        id: 'solo',
+        label: 'SOLO',
+        actionId: 'toggle_channel_solo',
+        feedbackId: 'channel_solo_state',
+        feedbackOptions: { soloColor: combineRgb(255, 255, 0), normalColor: black },
+        activeColor: combineRgb(255, 255, 0),
+      },
+      {
+        category: 'Phantom',
+        id: '48v',
+        label: '48V',
+        actionId: 'toggle_channel_48v',
+        releaseActionId: 'release_channel_48v',
+        feedbackId: 'channel_48v_state',
+        feedbackOptions: { onColor: combineRgb(0, 0, 255), offColor: black },
+        activeColor: combineRgb(0, 0, 255),
+        armedFeedbackId: 'channel_48v_armed',
+      },
+      {
+        category: 'HPF',
+        id: 'hpf',
+        label: 'HPF',
+        actionId: 'toggle_channel_hpf',
+        feedbackId: 'channel_hpf_state',
+        feedbackOptions: { hpfColor: combineRgb(85, 85, 255), normalColor: black },
+        activeColor: combineRgb(85, 85, 255),
+      },
+      {
+        category: 'Pad',
+        id: 'pad',
+        label: 'PAD',
+        actionId: 'toggle_channel_pad',
+        feedbackId: 'channel_pad_state',
+        feedbackOptions: { padColor: combineRgb(255, 128, 0), normalColor: black },
+        activeColor: combineRgb(255, 128, 0),
+      },
+    ];
+
+    for (const { channelNumber, name } of channels) {
+      for (const preset of channelPresets) {
+        presets[`ch${channelNumber}_${preset.id}`] = {
+          type: 'button',
+          category: preset.category,
+          name: `${name} ${preset.label}`,
+          style: { text: `${name}\\n${preset.label}`, size: 'auto', color: white, bgcolor: black },
+          steps: [
+            {
+              down: [{ actionId: preset.actionId, options: { channel: channelNumber } }],
+              up: preset.releaseActionId ? [{ actionId: preset.releaseActionId, options: { channel: channelNumber } }] : [],
+            },
+          ],
+          feedbacks: [
+            {
+              feedbackId: preset.feedbackId,
+              options: { channel: channelNumber, ...preset.feedbackOptions },
+              style: { bgcolor: preset.activeColor },
+            },
+          ],
+        };
+        if (preset.armedFeedbackId) {
+          presets[`ch${channelNumber}_${preset.id}`].feedbacks.push({
+            feedbackId: preset.armedFeedbackId,
+            options: { channel: channelNumber },
+            style: { bgcolor: combineRgb(255, 153, 0), color: black },
+          });
+        }
+      }
+
+      presets[`ch${channelNumber}_name`] = {
+        type: 'button',
+        category: 'Names',
+        name: `${name} Name`,
+        style: { text: `$(${this.label}:ch${channelNumber}_name)`, size: 'auto', color: white, bgcolor: black },
+        steps: [],
+        feedbacks: [{ feedbackId: 'channel_color', options: { channel: channelNumber, contrastText: true } }],
+      };
+
+      // Fader presets work as rotary encoders: turn to nudge, press for unity
+      presets[`ch${channelNumber}_fader`] = {
+        type: 'button',
+        category: 'Faders',
+        name: `${name} Fader`,
+        options: { rotaryActions: true },
+        style: {
+          text: `${name}\\n$(${this.label}:ch${channelNumber}_level) dB`,
+          size: 'auto',
+          color: white,
+          bgcolor: black,
+        },
+        steps: [
+          {
+            down: [{ actionId: 'set_fader_level', options: { bus: 'line', channel: channelNumber, level: 0 } }],
+            up: [],
+            rotate_left: [{ actionId: 'nudge_fader_level', options: { bus: 'line', channel: channelNumber, step: -1 } }],
+            rotate_right: [{ actionId: 'nudge_fader_level', options: { bus: 'line', channel: channelNumber, step: 1 } }],
+          },
+        ],
+        feedbacks: [],
+      };
+    }
+
+    this.setPresetDefinitions(presets);
+  }
+
+  initStoreSubscriptions() {
+    for (const flag of CHANNEL_FLAGS) {
+      this.store.subscribe(`line/ch*/${flag.id}`, (path, value, oldValue, [channel]) => {
+        this.log('debug', `Channel ${channel} ${flag.id} state updated to ${value > 0}`);
+        this.checkFeedbacks(flag.feedback);
+        this.updateChannelVariables(parseInt(channel, 10));
+      });
+    }
+
+    for (const flag of GLOBAL_FLAGS) {
+      this.store.subscribe(`global/${flag.id}`, (path, value) => {
+        this.log('debug', `${flag.label} state updated to ${value > 0}`);
+        this.checkFeedbacks(flag.feedback);
+        this.updateGlobalVariables();
+      });
+    }
+
+    this.store.subscribe(/^global\/(monitorLevel|phones\dLevel|speakerSelect|phones\dSource)$/, (path) => {
+      if (path === SPEAKER_SELECT_PATH) {
+        this.checkFeedbacks('speakers_selected');
+      } else if (path.endsWith('Source')) {
+        this.checkFeedbacks('headphone_source');
+      }
+      this.updateGlobalVariables();
+    });
+
+    this.store.subscribe(SYNC_LOCK_PATH, (path, value, oldValue) => {
+      this.reportSyncLock(value, oldValue);
+      this.checkFeedbacks('sync_lost');
+      this.updateGlobalVariables();
+    });
+
+    this.store.subscribe(/^global\/(sampleRate|clockSource|firmwareVersion|model|serial)$/, (path) => {
+      if (path === SAMPLE_RATE_PATH) {
+        this.checkFeedbacks('sample_rate_unexpected');
+      }
+      this.updateGlobalVariables();
+    });
+
+    this.store.subscribe(/^line\/ch(\d+)\/(username|name)$/, (path, value, oldValue, [channel]) => {
+      this.log('debug', `Channel ${channel} renamed to "${value}"`);
+      this.updateChannelVariables(parseInt(channel, 10));
+      this.updatePresets();
+    });
+
+    for (const [id, control] of Object.entries(CHANNEL_CONTROLS)) {
+      this.store.subscribe(`line/ch*/${control.path}`, (path, value, oldValue, [channel]) => {
+        if (id === 'gain') {
+          this.checkFeedbacks('channel_gain_above');
+        }
+        this.updateChannelVariables(parseInt(channel, 10));
+      });
+    }
+
+    this.store.subscribe(/^line\/ch\d+\/(gate\/on|comp\/on|eq\/eqallon|limit\/limiteron)$/, () => {
+      this.checkFeedbacks('fat_channel_block_state');
+    });
+
+    this.store.subscribe('line/ch*/color', (path, value, oldValue, [channel]) => {
+      this.checkFeedbacks('channel_color');
+      this.updateChannelVariables(parseInt(channel, 10));
+    });
+
+    this.store.subscribe(/^line\/ch(\d+)\/aux(\d+)(_mute)?$/, (path, value, oldValue, [channel, aux, mute]) => {
+      this.checkFeedbacks(mute ? 'aux_send_mute_state' : 'aux_send_level');
+      if (this.defineAuxVariables([parseInt(aux, 10)])) {
+        this.updateAllVariables();
+      } else {
+        this.updateChannelVariables(parseInt(channel, 10));
+      }
+    });
+
+    for (const [groupType, group] of Object.entries(GROUP_TYPES)) {
+      this.store.subscribe(`${group.prefix}/ch*/*`, (path, value, oldValue, [groupNumber]) => {
+        this.checkFeedbacks('group_mute_state', 'channel_effective_mute');
+        this.updateGroupVariables(groupType, parseInt(groupNumber, 10));
+      });
+    }
+
+    // Own mutes and group membership both feed the effective mute
+    this.store.subscribe(/^line\/ch\d+\/(mute|filtergroup\d+|mutegroup\d+)$/, () => {
+      this.checkFeedbacks('channel_effective_mute');
+    });
+
+    this.store.subscribe('*/ch*/volume', (path) => {
+      this.updateFaderVariable(path);
+    });
+
+    this.store.on('change', (path, value, oldValue) => {
+      const feedbackIds = Object.keys(this.parameterFeedbacks).filter((id) => this.parameterFeedbacks[id] === path);
+      if (feedbackIds.length > 0) {
+        this.checkFeedbacksById(...feedbackIds);
+      }
+      if (oldValue === undefined) {
+        // A channel first reported through PV needs its variables and presets as well
+        if (/^line\/ch\d+\//.test(path)) {
+          this.newChannelPaths = true;
+        }
+        this.schedulePathChoicesUpdate();
+      }
+    });
+
+    // A ZM snapshot replaces state wholesale, so refresh everything once rather than per path
+    this.store.on('snapshot', (changes) => {
+      this.log('debug', `Snapshot applied, ${changes.length} parameters changed`);
+      this.reportSnapshotDiff(changes);
+      // Snapshots do not go through the subscribers, and a resync is often where a sync loss shows up first
+      const syncLock = changes.find((change) => change.path === SYNC_LOCK_PATH);
+      if (syncLock) {
+        this.reportSyncLock(syncLock.value, syncLock.oldValue);
+      }
+      this.schedulePathChoicesUpdate();
+      this.checkFeedbacks();
+      this.updateAllVariables();
+      this.updatePresets();
+    });
+  }
+
+  // Logs which already known parameters a snapshot changed, i.e. updates we had missed
+  reportSnapshotDiff(changes) {
+    const known = changes.filter(({ oldValue }) => oldValue !== undefined);
+    const addedCount = changes.length - known.length;
+    // PV floats are single precision while the snapshot JSON is not, so ignore rounding noise
+    const drifted = known.filter(({ value, oldValue }) => !compareParameterValue(value, 'eq', oldValue));
+    if (this.store.paths().length > addedCount) {
+      // The store knew parameters before this snapshot, so it was a resync rather than the first one
+      this.lastResync = {
+        time: new Date().toLocaleTimeString(),
+        changes: drifted.length,
+        paths: drifted.map(({ path }) => path).join(', '),
+      };
+      this.updateGlobalVariables();
+    }
+    if (drifted.length === 0) {
+      return;
+    }
+
+    this.log('info', `Resync: ${drifted.length} parameters differed from the console`);
+    for (const { path, value, oldValue } of drifted.slice(0, RESYNC_DIFF_LOG_LIMIT)) {
+      this.log('info', `Resync: ${path} ${oldValue} -> ${value}`);
+    }
+    if (drifted.length > RESYNC_DIFF_LOG_LIMIT) {
+      this.log('info', `Resync: ... and ${drifted.length - RESYNC_DIFF_LOG_LIMIT} more`);
+    }
+  }
+
+  startResyncTimer() {
+    this.stopResyncTimer();
+    const minutes = this.config.resyncInterval;
+    if (!minutes || minutes <= 0) {
+      return;
+    }
+    this.resyncTimer = setInterval(() => {
+      if (this.connected) {
+        this.log('debug', 'Periodic resync');
+        this.requestSnapshot();
+      }
+    }, minutes * 60000);
+  }
+
+  stopResyncTimer() {
+    if (this.resyncTimer) {
+      clearInterval(this.resyncTimer);
+      this.resyncTimer = null;
+    }
+  }
+
+  // A large console reports thousands of paths, too many to send with every definition of the
+  // three path dropdowns
+  getParameterPathChoices() {
+    return this.store
+      .paths()
+      .sort()
+      .slice(0, PATH_CHOICES_LIMIT)
+      .map((path) => ({ id: path, label: path }));
+  }
+
+  // Paths usually appear in bursts (a snapshot, a console waking up), so re-publish once they settle
+  schedulePathChoicesUpdate() {
+    if (this.pathChoicesTimer) {
+      return;
+    }
+    this.pathChoicesTimer = setTimeout(() => {
+      this.pathChoicesTimer = null;
+      this.updateParameterPathChoices();
+      if (this.newChannelPaths) {
+        this.newChannelPaths = false;
+        this.updateAllVariables();
+        this.updatePresets();
+      }
+    }, PATH_CHOICES_DELAY);
+  }
+
+  // Re-publishes actions and feedbacks when the snapshot taught us new paths, so the
+  // path dropdowns offer them
+  updateParameterPathChoices() {
+    const pathCount = this.store.paths().length;
+    if (pathCount === this.knownPathCount) {
+      return;
+    }
+    if (pathCount > PATH_CHOICES_LIMIT && this.knownPathCount <= PATH_CHOICES_LIMIT) {
+      this.log('info', `${pathCount} parameter paths known, the path dropdowns list the first ${PATH_CHOICES_LIMIT}`);
+    }
+    this.knownPathCount = pathCount;
+    this.initActions();
+    this.initFeedbacks();
+  }
+
+  // Returns the known boolean flags, name and color of a line channel, e.g. { mute: true, name: 'Kick' }.
+  // Anything the console has not reported yet is left undefined.
+  getChannelState(channelNumber) {
+    const state = {};
+    for (const flag of CHANNEL_FLAGS) {
+      const value = this.store.get(`line/ch${channelNumber}/${flag.id}`);
+      if (typeof value === 'number') {
+        state[flag.id] = value > 0;
+      }
+    }
+    const name = this.store.get(`line/ch${channelNumber}/username`) || this.store.get(`line/ch${channelNumber}/name`);
+    if (name) {
+      state.name = name;
+    }
+    const color = this.getChannelColor(channelNumber);
+    if (color) {
+      state.color = color;
+    }
+    return state;
+  }
+
+  getChannelColor(channelNumber) {
+    return parseChannelColor(this.store.get(`line/ch${channelNumber}/color`));
+  }
+
+  getGlobalFlag(id) {
+    const value = this.store.get(`global/${id}`);
+    return typeof value === 'number' ? value > 0 : undefined;
+  }
+
+  getMixerBypass() {
+    // Assumes begins in not-bypassed state
+    return this.getGlobalFlag('mixerBypass') || false;
+  }
+
+
+// Returns how many packets could not be parsed or handled
+handleIncomingData(data, reader = this.packetReader) {
+  let failures = 0;
+  if (this.config.logRawData) {
+    this.log('debug', `Received TCP data (hex): ${data.toString('hex')}`);
+    this.log('debug', `Received TCP data (ascii): ${data.toString('ascii')}`);
+  }
+
+  // The reader keeps partial packets until the rest arrives
+  for (const { packet, error } of reader.push(data)) {
+    if (error) {
+      this.log('error', `Error parsing TCP packet: ${error.message}`);
+      failures++;
+      continue;
+    }
+    // A failing handler must not take the rest of the chunk with it
+    try {
+      this.dispatchPacket(packet);
+    } catch (error) {
+      this.log('error', `Error handling ${packet.type} packet: ${error.message}`);
+      failures++;
+    }
+  }
+  return failures;
+}
+
+
+// Returns how many packets could not be parsed or handled, counting a datagram that is not UC as one
+handleIncomingUDPData(data) {
+  // Ignore packets without the 'UC' header
+  if (data.length < 6 || !hasValidHeader(data)) {
+    return 1;
+  }
+
+  // A datagram can carry several packets back to back
+  let packets;
+  try {
+    packets = decodePackets(data);
+  } catch (error) {
+    this.log('error', `Error parsing UDP data: ${error.message}`);
+    return 1;
+  }
+  let failures = 0;
+  for (const packet of packets) {
+    try {
+      this.dispatchPacket(packet);
+    } catch (error) {
+      this.log('error', `Error handling ${packet.type} packet: ${error.message}`);
+      failures++;
+    }
+  }
+  return failures;
+}
+
+dispatchPacket(packet) {
+  const source = packet.addressPair.a;
+
+  if (packet.type === 'ZM') {
+    this.handleZMPacket(packet);
+    return;
+  }
+
+  if (!this.isSelectedDevice(source)) {
+    return;
+  }
+
+  if (packet.type === 'PV') {
+    this.handlePVPacket(packet);
+  } else if (packet.type === 'PS') {
+    this.handlePSPacket(packet);
+  } else if (packet.type === 'JM') {
+    this.handleJMPacket(packet);
+  } else if (packet.type === 'FD') {
+    this.handleFDPacket(packet);
+  } else if (packet.type === 'MS') {
+    this.handleMSPacket(packet);
+  }
+  // Handle other packet types as needed
+}
+
+handleZMPacket(packet) {
+  const jsonData = packet.tree;
+  const source = packet.addressPair.a;
+  this.noteHostDevice(source, getSnapshotDeviceName(jsonData));
+
+  if (this.activeDeviceAddress === null) {
+    // Auto mode locks onto the first device that sends its state
+    this.activeDeviceAddress = source;
+  } else if (source !== this.activeDeviceAddress) {
+    return;
+  }
+
+  // A write still waiting for its echo is ours in flight; the snapshot may predate it
+  this.store.ingestTree(jsonData, '', (path) => path in this.pendingWrites);
+}
+
+
+handlePVPacket(packet) {
+  const { name, value } = packet;
+
+  const now = Date.now();
+  const isFadeStep = (sent) => sent.some((step) => now - step.time <= FADE_ECHO_WINDOW && compareParameterValue(value, 'eq', step.value));
+
+  // A fade step that was already on its way when the fader was moved on the console lands after
+  // the move. Put the console's value back.
+  const interrupted = this.interruptedFades[name];
+  if (interrupted) {
+    if (now > interrupted.until) {
+      delete this.interruptedFades[name];
+    } else if (isFadeStep(interrupted.sent)) {
+      this.log('debug', `${name} late fade step after a console move, restoring ${interrupted.value}`);
+      this.sendFaderValue(name, interrupted.value);
+      return;
+    } else {
+      interrupted.value = value;
+    }
+  }
+
+  // While we drive a fade, the console echoes our steps back, often a few steps late. Anything
+  // else means someone moved the fader, which wins over the fade.
+  const fade = this.activeFades[name];
+  if (fade) {
+    if (isFadeStep(fade.sent)) {
+      return;
+    }
+    this.log('info', `${name} moved on the console, stopping the fade`);
+    this.cancelFade(name);
+    this.dropPendingWrite(name);
+    this.interruptedFades[name] = { value, sent: fade.sent, until: now + FADE_ECHO_WINDOW };
+  }
+
+  this.applyReportedValue(name, value);
+}
+
+
+// String values such as channel names and colors
+handlePSPacket(packet) {
+  const { name, value } = packet;
+  this.applyReportedValue(name, value);
+}
+
+
+// Session messages. UC answers Subscribe with a reply, and tells a client when another remote
+// with the same identity or a newer session has taken over.
+handleJMPacket(packet) {
+  const message = packet.message || {};
+
+  switch (message.id) {
+    case 'SubscriptionReply':
+      if (message.error || message.accepted === false || message.result === 'rejected') {
+        const reason = message.error || message.reason || 'no reason given';
+        this.log('error', `UC rejected the subscription: ${reason}`);
+        this.updateStatus('connection_failure', `Session rejected: ${reason}`);
+      } else {
+        this.log('debug', 'Subscription accepted');
+        this.updateStatus('ok');
+      }
+      break;
+    case 'SubscriptionLost': {
+      // Another remote with our identity took over. Reconnecting would take the session back from
+      // it and the two would keep knocking each other off, so wait for the config to be saved.
+      const reason = message.reason || 'replaced by another client';
+      this.log('warn', `UC ended the session: ${reason}. Not reconnecting; check that no other instance uses this client identifier, then save the connection settings to reconnect`);
+      this.closeTCP();
+      this.updateStatus('connection_failure', `Session taken over: ${reason}`);
+      break;
+    }
+    case 'Unsubscribe': {
+      const reason = message.reason || 'no reason given';
+      this.log('warn', `UC ended the session: ${reason}`);
+      this.closeTCP();
+      this.scheduleReconnect();
+      break;
+    }
+    default:
+      this.log('debug', `Ignoring JSON message ${message.id}`);
+  }
+}
+
+
+handleFDPacket(packet) {
+  const requestId = packet.requestId;
+  const text = packet.content.toString('utf8').replace(/\0/g, '');
+
+  const request = this.fileRequests[requestId];
+  if (!request) {
+    this.log('debug', `Ignoring file data for unknown request ${requestId}`);
+    return;
+  }
+  delete this.fileRequests[requestId];
+
+  if (request.presetType) {
+    this.updatePresetList(request.presetType, parsePresetList(text));
+  }
+}
+
+handleMSPacket(packet) {
+  const now = Date.now();
+  this.lastMeterTime = now;
+
+  if (packet.truncated) {
+    this.log('debug', `Truncated meter block ${packet.truncated}`);
+  }
+
+  for (const { id, values } of packet.blocks) {
+    const meterType = METER_SECTIONS[id];
+    if (meterType) {
+      values.forEach((value, index) => this.updateMeter(meterType, index, value / 0xffff, now));
+    }
+    const dynamics = GAIN_REDUCTION_SECTIONS[id];
+    if (dynamics) {
+      this.gainReduction[dynamics] = values.map((value) => value / 0xffff);
+    }
+  }
+
+  this.meterDirty = true;
+}
+
+  getAddressPair() {
+    return { a: CLIENT_ADDRESS, b: this.getDeviceAddress() };
+  }
+
+  buildUMPacket(udpPort) {
+    return encodePacket('UM', { a: 0x00, b: this.getDeviceAddress() }, { udpPort });
+  }
+
+  buildJMPacket() {
+    const clientType = this.config.clientType || 'iPhone';
+    const subMsg = {
+      id: 'Subscribe',
+      clientName: this.config.clientName || 'Companion',
+      clientInternalName: 'ucremoteapp',
+      clientType,
+      clientDescription: clientType,
+      clientIdentifier: this.config.clientIdentifier,
+      clientOptions: '',
+      clientEncoding: 23117,
+    };
+
+    return this.buildJSONPacket(subMsg);
+  }
+
+  buildJSONPacket(message) {
+    return encodePacket('JM', this.getAddressPair(), { message });
+  }
+
+  buildKAPacket() {
+    return encodePacket('KA', this.getAddressPair());
+  }
+
+  buildPVPacket(name, value) {
+    return encodePacket('PV', this.getAddressPair(), { name, value });
+  }
+
+  buildPSPacket(name, value) {
+    return encodePacket('PS', this.getAddressPair(), { name, value });
+  }
+
+  buildFRPacket(requestId, path) {
+    return encodePacket('FR', this.getAddressPair(), { requestId, path });
+  }
+
+async toggleMixerBypass() {
+  const newBypassState = await this.resolveToggleTarget('global/mixerBypass', 'Mixer Bypass');
+  if (newBypassState === undefined) {
+    return;
+  }
+  this.setMixerBypass(newBypassState);
+  this.log('info', `Mixer Bypass toggled to ${newBypassState}`);
+}
+
+  setMixerBypass(bypass) {
+    this.writeParameter('global/mixerBypass', bypass ? 1.0 : 0.0);
+  }
+
+  setGlobalFlag(id, state) {
+    this.writeParameter(`global/${id}`, state ? 1.0 : 0.0);
+  }
+
+  async toggleGlobalFlag(id) {
+    const flag = GLOBAL_FLAGS.find((f) => f.id === id);
+    const newState = await this.resolveToggleTarget(`global/${flag.id}`, flag.label);
+    if (newState === undefined) {
+      return;
+    }
+    this.setGlobalFlag(flag.id, newState);
+    this.log('info', `${flag.label} toggled to ${newState}`);
+  }
+
+  setMonitorLevel(id, db) {
+    const level = MONITOR_LEVELS.find((l) => l.id === id);
+    this.writeParameter(level.path, dbToMonitor(Math.min(db, 0)));
+  }
+
+  nudgeMonitorLevel(id, step) {
+    const level = MONITOR_LEVELS.find((l) => l.id === id);
+    const current = this.store.get(level.path);
+    if (typeof current !== 'number') {
+      this.log('warn', `${level.label} level is not known yet, cannot nudge it`);
+      return;
+    }
+    // Nudging up from off starts at the bottom of the range
+    const currentDb = current <= 0 ? MONITOR_DB_MIN : monitorToDb(current);
+    this.setMonitorLevel(id, currentDb + step);
+  }
+
+  setChannelFlag(channelNumber, flagId, state) {
+    this.writeParameter(`line/ch${channelNumber}/${flagId}`, state ? 1.0 : 0.0);
+  }
+
+  async toggleChannelFlag(channelNumber, flagId) {
+    const flag = CHANNEL_FLAGS.find((f) => f.id === flagId);
+    const newState = await this.resolveToggleTarget(`line/ch${channelNumber}/${flag.id}`, `Channel ${channelNumber} ${flag.label}`);
+    if (newState === undefined) {
+      return;
+    }
+
+    this.log('info', `Channel ${channelNumber} ${flag.label} toggled to ${newState}`);
+    if (flag.id === '48v') {
+      this.requestPhantomChange(channelNumber, newState);
+    } else {
+      this.setChannelFlag(channelNumber, flag.id, newState);
+    }
+  }
+
+  // Returns the state a toggle of an on/off path should switch to. When the console has not
+  // reported the path yet the unknown state policy decides; undefined means do nothing.
+  async resolveToggleTarget(path, label) {
+    let value = this.store.get(path);
+    if (typeof value === 'number') {
+      return !(value > 0);
+    }
+
+    const policy = this.config.unknownStatePolicy || 'refresh';
+    if (policy === 'refresh') {
+      this.log('info', `${label} state unknown. Requesting a fresh snapshot.`);
+      await this.requestSnapshot();
+      value = this.store.get(path);
+      if (typeof value === 'number') {
+        return !(value > 0);
+      }
+      this.log('warn', `${label} state still unknown after refresh. Ignoring toggle.`);
+      return undefined;
+    }
+
+    if (policy === 'default') {
+      const state = this.config.unknownStateDefault === 'on';
+      this.log('warn', `${label} state unknown. Switching to the configured state ${state ? 'on' : 'off'}.`);
+      return state;
+    }
+
+    this.log('warn', `${label} state unknown. Ignoring toggle.`);
+    return undefined;
+  }
+
+  // Resubscribes, which makes UC send a full ZM snapshot. Resolves once it has been applied or
+  // after SNAPSHOT_TIMEOUT.
+  requestSnapshot() {
+    if (this.snapshotRequest) {
+      return this.snapshotRequest;
+    }
+    if (!this.connected) {
+      this.log('warn', 'Cannot request a snapshot while disconnected');
+      return Promise.resolve(false);
+    }
+
+    this.snapshotRequest = new Promise((resolve) => {
+      const onSnapshot = () => this.snapshotDone(true);
+      this.snapshotDone = (received) => {
+        clearTimeout(this.snapshotTimer);
+        this.snapshotTimer = null;
+        this.snapshotDone = null;
+        this.store.removeListener('snapshot', onSnapshot);
+        this.snapshotRequest = null;
+        resolve(received);
+      };
+      this.snapshotTimer = setTimeout(() => {
+        this.log('warn', `No snapshot received within ${SNAPSHOT_TIMEOUT / 1000}s`);
+        this.snapshotDone(false);
+      }, SNAPSHOT_TIMEOUT);
+      this.store.once('snapshot', onSnapshot);
+    });
+    this.sendPacket(this.buildJMPacket());
+    return this.snapshotRequest;
+  }
+
+  // 48V changes go through the configured interlock: with 'confirm' the first press arms the
+  // change and a second press within PHANTOM_CONFIRM_WINDOW sends it; with 'hold' the change is
+  // sent once the button has been held for PHANTOM_HOLD_TIME (releasePhantomHold cancels it).
+  // Takes a channel number or a list of channels, which are armed and sent together.
+  requestPhantomChange(channels, state) {
+    const channelNumbers = [].concat(channels);
+    const key = channelNumbers.join(',');
+    const label = `${channelNumbers.length > 1 ? 'Channels' : 'Channel'} ${key} 48V ${state ? 'on' : 'off'}`;
+    const send = () => {
+      this.writeParameters(channelNumbers.map((channelNumber) => [`line/ch${channelNumber}/48v`, state ? 1.0 : 0.0]));
+    };
+
+    const mode = this.config.phantomSafety || 'confirm';
+    if (mode === 'none') {
+      send();
+      return;
+    }
+
+    const armed = this.phantomArmed[key];
+    if (mode === 'hold') {
+      if (armed) {
+        return;
+      }
+      this.log('info', `${label}: keep holding for ${PHANTOM_HOLD_TIME / 1000}s`);
+      this.armPhantom(key, channelNumbers, state, mode, PHANTOM_HOLD_TIME, () => {
+        this.log('info', `${label}: held, sending`);
+        send();
+      });
+      return;
+    }
+
+    if (armed && armed.state === state) {
+      this.disarmPhantom(key);
+      this.log('info', `${label}: confirmed`);
+      send();
+      return;
+    }
+    this.log('info', `${label}: press again within ${PHANTOM_CONFIRM_WINDOW / 1000}s to confirm`);
+    this.armPhantom(key, channelNumbers, state, mode, PHANTOM_CONFIRM_WINDOW, () => {
+      this.log('info', `${label}: not confirmed, cancelled`);
+    });
+  }
+
+  armPhantom(key, channelNumbers, state, mode, time, onExpire) {
+    this.disarmPhantom(key);
+    this.phantomArmed[key] = {
+      channelNumbers,
+      state,
+      mode,
+      timer: setTimeout(() => {
+        delete this.phantomArmed[key];
+        this.checkFeedbacks('channel_48v_armed');
+        onExpire();
+      }, time),
+    };
+    this.checkFeedbacks('channel_48v_armed');
+  }
+
+  disarmPhantom(key) {
+    const armed = this.phantomArmed[key];
+    if (armed) {
+      clearTimeout(armed.timer);
+      delete this.phantomArmed[key];
+      this.checkFeedbacks('channel_48v_armed');
+    }
+  }
+
+  disarmAllPhantom() {
+    for (const key of Object.keys(this.phantomArmed)) {
+      this.disarmPhantom(key);
+    }
+  }
+
+  isPhantomArmed(channelNumber) {
+    return Object.values(this.phantomArmed).some((armed) => armed.channelNumbers.includes(channelNumber));
+  }
+
+  // Button released before the hold time: drop the change. Confirm presses are left alone.
+  releasePhantomHold(channels) {
+    const key = [].concat(channels).join(',');
+    const armed = this.phantomArmed[key];
+    if (armed && armed.mode === 'hold') {
+      this.disarmPhantom(key);
+      this.log('info', `48V change for ${key} cancelled, button released too early`);
+    }
+  }
+
+  // Sample rate and clock source changes always need a second press within SYSTEM_CONFIRM_WINDOW,
+  // whatever the 48V interlock is set to: a stray press would interrupt audio on the whole device.
+  requestSystemChange(path, value, label) {
+    const armed = this.systemArmed[path];
+    if (armed && armed.value === value) {
+      this.disarmSystemChange(path);
+      this.log('info', `${label}: confirmed`);
+      this.writeParameter(path, value);
+      return;
+    }
+    this.disarmSystemChange(path);
+    this.log('info', `${label}: press again within ${SYSTEM_CONFIRM_WINDOW / 1000}s to confirm`);
+    this.systemArmed[path] = {
+      value,
+      timer: setTimeout(() => {
+        delete this.systemArmed[path];
+        this.checkFeedbacks('system_change_armed');
+        this.log('info', `${label}: not confirmed, cancelled`);
+      }, SYSTEM_CONFIRM_WINDOW),
+    };
+    this.checkFeedbacks('system_change_armed');
+  }
+
+  disarmSystemChange(path) {
+    const armed = this.systemArmed[path];
+    if (armed) {
+      clearTimeout(armed.timer);
+      delete this.systemArmed[path];
+      this.checkFeedbacks('system_change_armed');
+    }
+  }
+
+  disarmAllSystemChanges() {
+    for (const path of Object.keys(this.systemArmed)) {
+      this.disarmSystemChange(path);
+    }
+  }
+
+  reportSyncLock(value, oldValue) {
+    if (typeof value === 'number' && value <= 0) {
+      this.log('warn', 'Device lost clock sync');
+    } else if (typeof oldValue === 'number' && oldValue <= 0) {
+      this.log('info', 'Device clock sync restored');
+    }
+  }
+
+  // Sample rate in Hz, undefined if not reported yet
+  getSampleRate() {
+    const value = this.store.get(SAMPLE_RATE_PATH);
+    return typeof value === 'number' ? SAMPLE_RATES[Math.round(value)] : undefined;
+  }
+
+  getSyncLock() {
+    const value = this.store.get(SYNC_LOCK_PATH);
+    return typeof value === 'number' ? value > 0 : undefined;
+  }
+
+  // Current value of a gain/trim/pan control in display units, undefined if not reported yet
+  getChannelControl(channelNumber, controlId) {
+    const control = CHANNEL_CONTROLS[controlId];
+    const value = this.store.get(`line/ch${channelNumber}/${control.path}`);
+    return typeof value === 'number' ? floatToControl(control, value) : undefined;
+  }
+
+  // The range a control may be set to: the console range narrowed by the config limits
+  getControlLimits(controlId) {
+    const control = CHANNEL_CONTROLS[controlId];
+    if (!control.limitKey) {
+      return [control.min, control.max];
+    }
+    // Configs saved before these fields existed get the same defaults the fields declare
+    const configMin = this.config[`${control.limitKey}Min`];
+    const configMax = this.config[`${control.limitKey}Max`];
+    return [
+      Math.max(typeof configMin === 'number' ? configMin : control.limitMin, control.min),
+      Math.min(typeof configMax === 'number' ? configMax : control.limitMax, control.max),
+    ];
+  }
+
+  // A reset goes to the control's default, a known value, so it skips the checks against the
+  // current value and only stays within the limits
+  setChannelControl(channelNumber, controlId, value, isReset = false) {
+    const control = CHANNEL_CONTROLS[controlId];
+    const [min, max] = this.getControlLimits(controlId);
+    let limited = Math.min(Math.max(value, min), max);
+    if (limited !== value) {
+      this.log('warn', `Channel ${channelNumber} ${control.label} ${value} ${control.unit} is outside the allowed ${min} to ${max}, using ${limited}`);
+    }
+
+    // Gain and trim never go up by more than the step limit in one press. Lowering is always allowed.
+    if (control.limitKey && !isReset) {
+      const current = this.getChannelControl(channelNumber, controlId);
+      const stepLimit = this.config.controlStepLimit || CONTROL_STEP_LIMIT_DEFAULT;
+      if (current === undefined && limited > min) {
+        this.log('warn', `Channel ${channelNumber} ${control.label} unknown. Ignoring set to ${limited} ${control.unit}.`);
+        return;
+      }
+      if (current !== undefined && limited > current + stepLimit) {
+        const raised = Math.round((current + stepLimit) * 10) / 10;
+        this.log('warn', `Channel ${channelNumber} ${control.label} change to ${limited} ${control.unit} limited to +${stepLimit} dB, using ${raised}`);
+        limited = raised;
+      }
+    }
+
+    this.writeParameter(`line/ch${channelNumber}/${control.path}`, controlToFloat(control, limited));
+    this.log('info', `Channel ${channelNumber} ${control.label} set to ${limited} ${control.unit}`);
   }
 
-handleIncomingData(data) {
-  // Log the raw data received
-  this.log('debug', `Received TCP data (hex): ${data.toString('hex')}`);
-  this.log('debug', `Received TCP data (ascii): ${data.toString('ascii')}`);
-  // Append the new data to the buffer
-  this.receiveBuffer = Buffer.concat([this.receiveBuffer, data]);
+  stepChannelControl(channelNumber, controlId, step) {
+    const control = CHANNEL_CONTROLS[controlId];
+    const current = this.getChannelControl(channelNumber, controlId);
+    if (current === undefined) {
+      this.log('warn', `Channel ${channelNumber} ${control.label} unknown. Ignoring step.`);
+      return;
+    }
+
+    let limitedStep = step;
+    if (control.limitKey) {
+      const stepLimit = this.config.controlStepLimit || CONTROL_STEP_LIMIT_DEFAULT;
+      limitedStep = Math.min(Math.max(step, -stepLimit), stepLimit);
+      if (limitedStep !== step) {
+        this.log('warn', `Channel ${channelNumber} ${control.label} step of ${step} dB limited to ${limitedStep} dB`);
+      }
+    }
 
-  // Process the buffer while there is enough data for a header
-  while (this.receiveBuffer.length >= 6) {
-    // Look for the 'UC' header
-    let headerIndex = this.receiveBuffer.indexOf('UC', 0, 'ascii');
+    // Round away the float noise so repeated steps land on clean values
+    this.setChannelControl(channelNumber, controlId, Math.round((current + limitedStep) * 10) / 10);
+  }
 
-    if (headerIndex === -1) {
-      // 'UC' not found, discard the buffer
-      this.log('warn', 'No valid header found in TCP data, discarding buffer');
-      this.receiveBuffer = Buffer.alloc(0);
-      break;
+  getFatChannelBlock(channelNumber, blockId) {
+    const value = this.store.get(`line/ch${channelNumber}/${FAT_CHANNEL_SECTIONS[blockId].onPath}`);
+    return typeof value === 'number' ? value > 0 : undefined;
+  }
+
+  setFatChannelBlock(channelNumber, blockId, enabled) {
+    const section = FAT_CHANNEL_SECTIONS[blockId];
+    this.writeParameter(`line/ch${channelNumber}/${section.onPath}`, enabled ? 1.0 : 0.0);
+    this.log('info', `Channel ${channelNumber} ${section.label} ${enabled ? 'enabled' : 'bypassed'}`);
+  }
+
+  async toggleFatChannelBlock(channelNumber, blockId) {
+    const section = FAT_CHANNEL_SECTIONS[blockId];
+    const enabled = await this.resolveToggleTarget(`line/ch${channelNumber}/${section.onPath}`, `Channel ${channelNumber} ${section.label}`);
+    if (enabled !== undefined) {
+      this.setFatChannelBlock(channelNumber, blockId, enabled);
     }
+  }
+
+  setHpfFrequency(channelNumber, hz) {
+    const pos = hzToHpf(hz);
+    this.writeParameter(`line/ch${channelNumber}/${HPF_FREQ_PATH}`, pos);
+    this.log('info', `Channel ${channelNumber} HPF set to ${Math.round(hpfToHz(pos))} Hz`);
+  }
 
-    // If 'UC' is not at position 0, discard data before the header
-    if (headerIndex > 0) {
-      this.log('warn', `Discarding ${headerIndex} bytes before 'UC' header`);
-      this.receiveBuffer = this.receiveBuffer.slice(headerIndex);
+  // Every known parameter of the chosen Fat Channel sections of a channel, as path suffix => value
+  getFatChannelSettings(channelNumber, sectionIds) {
+    const sources = [].concat(sectionIds || []).map((id) => FAT_CHANNEL_SECTIONS[id].match);
+    const settings = {};
+    if (sources.length === 0) {
+      return settings;
+    }
+    const regex = new RegExp(`^line/ch${channelNumber}/((?:${sources.join('|')}))$`);
+    for (const [, value, [suffix]] of this.store.match(regex)) {
+      settings[suffix] = value;
     }
+    return settings;
+  }
 
-    // Now check if we have enough data for a full header
-    if (this.receiveBuffer.length < 6) {
-      // Wait for more data
-      break;
+  applyFatChannelSettings(settings, channelNumbers, sourceLabel) {
+    const suffixes = Object.keys(settings);
+    if (suffixes.length === 0) {
+      this.log('warn', `No Fat Channel settings known for ${sourceLabel}`);
+      return;
     }
 
-    // Verify the rest of the header
-    if (this.receiveBuffer.readUInt16LE(2) !== 1) {
-      // Invalid version, discard the 'UC' and continue searching
-      this.log('warn', 'Invalid version in header, discarding and searching for next header');
-      this.receiveBuffer = this.receiveBuffer.slice(2);
-      continue;
+    const entries = [];
+    for (const channelNumber of channelNumbers) {
+      for (const suffix of suffixes) {
+        entries.push([`line/ch${channelNumber}/${suffix}`, settings[suffix]]);
+      }
     }
+    this.writeParameters(entries);
+    this.log('info', `Fat Channel settings from ${sourceLabel} applied to channels ${channelNumbers.join(', ')}`);
+  }
 
-    // Read the packet size
-    const size = this.receiveBuffer.readUInt16LE(4);
-    const totalSize = 6 + size;
+  // Slots are kept as JSON in the hidden fatChannelSlots config field so they survive restarts.
+  // Configs saved before the field was declared hold a plain object.
+  getFatChannelSlots() {
+    const slots = this.config.fatChannelSlots;
+    if (slots && typeof slots === 'object') {
+      return slots;
+    }
+    try {
+      const parsed = JSON.parse(slots || '{}');
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+      this.log('warn', `Stored Fat Channel settings cannot be read: ${error.message}`);
+      return {};
+    }
+  }
 
-    if (this.receiveBuffer.length < totalSize) {
-      // Wait for more data
-      break;
+  storeFatChannelSlot(name, channelNumber, sectionIds) {
+    if (!name) {
+      this.log('warn', 'Store Fat Channel: no name given');
+      return;
+    }
+    const settings = this.getFatChannelSettings(channelNumber, sectionIds);
+    if (Object.keys(settings).length === 0) {
+      this.log('warn', `No Fat Channel settings known for channel ${channelNumber}`);
+      return;
     }
 
-    // Extract the packet data
-    const packetData = this.receiveBuffer.slice(0, totalSize);
-    this.receiveBuffer = this.receiveBuffer.slice(totalSize);
+    const slots = { ...this.getFatChannelSlots(), [name]: settings };
+    this.config = { ...this.config, fatChannelSlots: JSON.stringify(slots) };
+    this.saveConfig(this.config);
+    this.log('info', `Stored ${Object.keys(settings).length} Fat Channel parameters of channel ${channelNumber} as "${name}"`);
+    // Re-publish so the recall dropdown offers the new name
+    this.initActions();
+  }
 
-    // Parse the packet
-    try {
-      const packet = this.parsePacket(packetData);
-      if (packet) {
-        if (packet.type === 'ZM') {
-          this.handleZMPacket(packet);
-        } else if (packet.type === 'PV') {
-          this.handlePVPacket(packet);
+  // Turns a channel list from an action into channel numbers, logging anything it cannot read
+  resolveChannelList(spec) {
+    const allChannels = Array.from(
+      new Set(this.store.match('line/ch*/*').map(([, , [channel]]) => parseInt(channel, 10)))
+    ).sort((a, b) => a - b);
+    const { channels, errors } = parseChannelList(spec, parseChannelSets(this.config.channelSets), allChannels);
+    if (errors.length > 0) {
+      this.log('warn', `Channel list "${spec}": ignoring unknown ${errors.join(', ')}`);
+    }
+    if (channels.length === 0) {
+      this.log('warn', `Channel list "${spec}" does not contain any channels`);
+    }
+    return channels;
+  }
+
+  // On/off state of each path, after a snapshot request when the unknown state policy asks for
+  // one. Paths that are still unknown are undefined.
+  async getBatchStates(paths) {
+    const read = () =>
+      paths.map((path) => {
+        const value = this.store.get(path);
+        return typeof value === 'number' ? value > 0 : undefined;
+      });
+
+    let states = read();
+    if (states.includes(undefined) && (this.config.unknownStatePolicy || 'refresh') === 'refresh') {
+      this.log('info', 'Some channel states unknown. Requesting a fresh snapshot.');
+      await this.requestSnapshot();
+      states = read();
+    }
+    return states;
+  }
+
+  async batchChannelFlag(channelNumbers, flagId, mode) {
+    if (channelNumbers.length === 0) {
+      return;
+    }
+    const flag = CHANNEL_FLAGS.find((f) => f.id === flagId);
+
+    let targets;
+    if (mode === 'on' || mode === 'off') {
+      targets = channelNumbers.map(() => mode === 'on');
+    } else {
+      const states = await this.getBatchStates(channelNumbers.map((channelNumber) => `line/ch${channelNumber}/${flag.id}`));
+      const unknownTarget = this.config.unknownStatePolicy === 'default' ? this.config.unknownStateDefault === 'on' : undefined;
+      if (mode === 'toggle') {
+        // Like a group button: switch everything off only when everything is on
+        const known = states.filter((state) => state !== undefined);
+        const target = known.length > 0 ? !known.every((state) => state) : unknownTarget;
+        targets = channelNumbers.map(() => target);
+      } else {
+        targets = states.map((state) => (state === undefined ? unknownTarget : !state));
+      }
+    }
+
+    const skipped = channelNumbers.filter((channelNumber, index) => targets[index] === undefined);
+    if (skipped.length > 0) {
+      this.log('warn', `${flag.label} state unknown for channels ${skipped.join(', ')}. Leaving them alone.`);
+    }
+
+    const onChannels = channelNumbers.filter((channelNumber, index) => targets[index] === true);
+    const offChannels = channelNumbers.filter((channelNumber, index) => targets[index] === false);
+    this.log('info', `${flag.label} on for [${onChannels.join(', ')}], off for [${offChannels.join(', ')}]`);
+
+    if (flag.id === '48v') {
+      for (const [channels, state] of [
+        [onChannels, true],
+        [offChannels, false],
+      ]) {
+        if (channels.length > 0) {
+          this.requestPhantomChange(channels, state);
         }
-        // Handle other packet types as needed
       }
-    } catch (error) {
-      this.log('error', `Error parsing TCP packet: ${error.message}`);
-      // Discard the current 'UC' header and try to find the next one
-      this.receiveBuffer = this.receiveBuffer.slice(2);
+      return;
     }
+
+    this.writeParameters([
+      ...onChannels.map((channelNumber) => [`line/ch${channelNumber}/${flag.id}`, 1.0]),
+      ...offChannels.map((channelNumber) => [`line/ch${channelNumber}/${flag.id}`, 0.0]),
+    ]);
   }
-}
 
+  batchSetFaderLevel(channelNumbers, db) {
+    const entries = channelNumbers.map((channelNumber) => {
+      const path = this.getFaderPath('line', channelNumber);
+      this.cancelFade(path);
+      return [path, dbToFloat(db)];
+    });
+    this.writeParameters(entries);
+    if (entries.length > 0) {
+      this.log('info', `Channels ${channelNumbers.join(', ')} set to ${db} dB`);
+    }
+  }
 
-handleIncomingUDPData(data) {
-  try {
-    // Check if the packet starts with 'UC\x00\x01'
-    if (data.length >= 6 && data.toString('ascii', 0, 2) === 'UC' && data.readUInt16LE(2) === 1) {
-      // Parse the packet using parsePacket
-      const packet = this.parsePacket(data);
-      if (packet) {
-        if (packet.type === 'ZM') {
-          this.handleZMPacket(packet);
-        } else if (packet.type === 'PV') {
-          this.handlePVPacket(packet);
-        }
-        // Add handling for other packet types if necessary
+  batchNudgeFaderLevel(channelNumbers, stepDb) {
+    const entries = [];
+    const unknown = [];
+    for (const channelNumber of channelNumbers) {
+      const path = this.getFaderPath('line', channelNumber);
+      this.cancelFade(path);
+      const current = this.store.get(path);
+      if (typeof current !== 'number') {
+        unknown.push(channelNumber);
+        continue;
       }
-    } else {
-      // Handle or ignore packets without the 'UC\x00\x01' header
-      // For now, we can log that an unknown UDP packet was received, if needed
-      // this.log('debug', 'Received UDP packet without UC header');
-      // Or simply ignore it
+      const currentDb = Math.max(floatToDb(current), FADER_DB_MIN);
+      entries.push([path, dbToFloat(Math.min(Math.max(currentDb + stepDb, FADER_DB_MIN), FADER_DB_MAX))]);
     }
-  } catch (error) {
-    this.log('error', `Error parsing UDP data: ${error.message}`);
+    if (unknown.length > 0) {
+      this.log('warn', `Fader level unknown for channels ${unknown.join(', ')}. Ignoring nudge for them.`);
+    }
+    this.writeParameters(entries);
   }
-}
-parsePacket(data) {
-  if (data.length < 6) {
-    throw new Error('Packet too small to be valid');
+
+  setChannelMute(channelNumber, mute) {
+    this.setChannelFlag(channelNumber, 'mute', mute);
   }
 
-  const header = data.slice(0, 6);
-  if (header.toString('ascii', 0, 2) !== 'UC' || header.readUInt16LE(2) !== 1) {
-    throw new Error('Invalid header');
+  toggleChannelMute(channelNumber) {
+    return this.toggleChannelFlag(channelNumber, 'mute');
   }
 
-  const size = header.readUInt16LE(4);
-  if (data.length < 6 + size) {
-    throw new Error('Incomplete packet');
+  setChannelSolo(channelNumber, solo) {
+    this.setChannelFlag(channelNumber, 'solo', solo);
   }
 
-  const payload = data.slice(6, 6 + size);
+  toggleChannelSolo(channelNumber) {
+    return this.toggleChannelFlag(channelNumber, 'solo');
+  }
 
-  const type = payload.toString('ascii', 0, 2);
-  const addressPair = {
-    a: payload.readUInt16LE(2),
-    b: payload.readUInt16LE(4),
-  };
+  setChannel48V(channelNumber, state) {
+    this.requestPhantomChange(channelNumber, state);
+  }
 
-  const packet = {
-    type,
-    addressPair,
-    data: payload.slice(6),
-  };
+  toggleChannel48V(channelNumber) {
+    return this.toggleChannelFlag(channelNumber, '48v');
+  }
 
-  return packet;
-}
+  setChannelHPF(channelNumber, state) {
+    this.setChannelFlag(channelNumber, 'hpf', state);
+  }
 
-  handleZMPacket(packet) {
-  const data = packet.data;
-  const unknown = data.readUInt32LE(0);
-  const compressedPayload = data.slice(4);
+  toggleChannelHPF(channelNumber) {
+    return this.toggleChannelFlag(channelNumber, 'hpf');
+  }
 
-  try {
-    const compressedData = compressedPayload.slice(2); // Skip first two bytes
-    const decompressed = zlib.inflateRawSync(compressedData);
-    const jsonStr = decompressed.toString('utf8');
+  setChannelPad(channelNumber, state) {
+    this.setChannelFlag(channelNumber, 'pad', state);
+  }
 
-    const jsonData = JSON.parse(jsonStr);
-    this.updateChannelStates(jsonData);
-    this.updateGlobalStates(jsonData); // Add this line
-  } catch (error) {
-    this.log('error', `Error decompressing ZM packet data: ${error.message}`);
+  toggleChannelPad(channelNumber) {
+    return this.toggleChannelFlag(channelNumber, 'pad');
   }
-}
 
+  // Sends a float (PV) or string (PS) value and shows it straight away. The value stays pending
+  // until the console reports it back; see applyReportedValue() and handleWriteTimeout().
+  writeParameter(path, value) {
+    this.writeParameters([[path, value]]);
+  }
 
-handlePVPacket(packet) {
-  const data = packet.data;
-  const nameLength = data.length - 4; // Exclude the float value at the end
-  const name = data.slice(0, nameLength).toString('utf8').replace(/\0/g, ''); // Remove null bytes
-  const val = data.readFloatLE(nameLength);
-
-  // Handle global parameters
-  if (name === 'global/mixerBypass') {
-    const isBypassed = val > 0;
-    this.mixerBypassState = isBypassed;
-    this.log('debug', `Mixer Bypass state updated to ${isBypassed} via PV packet`);
-    this.checkFeedbacks('mixer_bypass_state'); // Trigger feedback update
-    return;
+  // Writes several [path, value] pairs as one burst, a single TCP write
+  writeParameters(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+    this.sendPacket(Buffer.concat(entries.map(([path, value]) => this.buildParameterPacket(path, value))));
+    for (const [path, value] of entries) {
+      this.trackPendingWrite(path, value);
+      this.store.set(path, value);
+    }
   }
 
-  // Handle channel parameters
-  let match = name.match(/^line\/ch(\d+)\/(mute|solo|48v|hpf|pad)$/);
-  if (match) {
-    const channelNumber = parseInt(match[1], 10);
-    const parameter = match[2];
-    const isActive = val > 0;
+  buildParameterPacket(path, value) {
+    return typeof value === 'string' ? this.buildPSPacket(path, value) : this.buildPVPacket(path, value);
+  }
 
-    // Update the specific parameter in the channel state
-    this.channelStates[channelNumber] = {
-      ...this.channelStates[channelNumber],
-      [parameter]: isActive,
+  trackPendingWrite(path, value) {
+    const pending = this.pendingWrites[path];
+    if (pending) {
+      clearTimeout(pending.timer);
+    }
+    this.pendingWrites[path] = {
+      value,
+      // While a write is outstanding the store holds our value, so keep the last one the console reported
+      reportedValue: pending ? pending.reportedValue : this.store.get(path),
+      heard: false,
+      attempts: 0,
+      timer: setTimeout(() => this.handleWriteTimeout(path), WRITE_CONFIRM_TIMEOUT),
     };
+    if (!pending) {
+      this.checkFeedbacks('parameter_unconfirmed');
+    }
+  }
 
-    this.log(
-      'debug',
-      `Channel ${channelNumber} ${parameter} state updated to ${isActive} via PV packet`
-    );
-
-    // Trigger feedback updates based on the parameter
-    switch (parameter) {
-      case 'mute':
-        this.log('debug', `Updated channel ${channelNumber} mute state to ${isActive}`);
-        this.checkFeedbacks('channel_mute_state');
-        break;
-      case 'solo':
-        this.checkFeedbacks('channel_solo_state');
-        break;
-      case '48v':
-        this.checkFeedbacks('channel_48v_state');
-        break;
-      case 'hpf':
-        this.checkFeedbacks('channel_hpf_state');
-        break;
-      case 'pad':
-        this.checkFeedbacks('channel_pad_state');
-        break;
+  // Values reported by the console. A matching value confirms the pending write on that path.
+  applyReportedValue(path, value) {
+    const pending = this.pendingWrites[path];
+    if (pending) {
+      if (!compareParameterValue(value, 'eq', pending.value)) {
+        // Usually the echo of an earlier write (e.g. the previous nudge), so keep showing ours for now
+        pending.reportedValue = value;
+        pending.heard = true;
+        return;
+      }
+      clearTimeout(pending.timer);
+      delete this.pendingWrites[path];
+      this.checkFeedbacks('parameter_unconfirmed');
     }
 
-    return;
+    if (path in this.unconfirmedWrites) {
+      delete this.unconfirmedWrites[path];
+      this.updateUnconfirmedWrites();
+    }
+    this.store.set(path, value);
   }
 
-  // Handle other parameters if necessary
-}
+  handleWriteTimeout(path) {
+    const pending = this.pendingWrites[path];
+    if (!pending) {
+      return;
+    }
+
+    // Resending and rolling back rely on the console echoing our own writes, which is only
+    // assumed with Confirm Writes. Otherwise the write just stops being pending, and a value the
+    // console reported in the meantime is its latest word.
+    if (!this.config.confirmWrites) {
+      this.dropPendingWrite(path);
+      if (pending.heard) {
+        this.store.set(path, pending.reportedValue);
+      }
+      return;
+    }
 
+    // Only resend when the console said nothing at all. If it reported a different value, someone
+    // else changed it, and resending ours would fight them.
+    if (!pending.heard && pending.attempts < WRITE_RETRIES) {
+      pending.attempts++;
+      this.log('warn', `${path}: no confirmation from the console, resending (${pending.attempts}/${WRITE_RETRIES})`);
+      this.sendPacket(this.buildParameterPacket(path, pending.value));
+      pending.timer = setTimeout(() => this.handleWriteTimeout(path), WRITE_CONFIRM_TIMEOUT);
+      return;
+    }
 
-updateGlobalStates(jsonData) {
-  if (jsonData && jsonData.children && jsonData.children.global) {
-    const globalValues = jsonData.children.global.values || {};
+    delete this.pendingWrites[path];
+    this.unconfirmedWrites[path] = pending.value;
+    this.log('warn', `${path}: console did not confirm ${pending.value}, rolling back to ${pending.reportedValue}`);
 
-    if (globalValues.mixerBypass !== undefined) {
-      const isBypassed = globalValues.mixerBypass > 0;
-      this.mixerBypassState = isBypassed;
-      this.log('debug', `Mixer Bypass state initialized to ${isBypassed}`);
+    if (pending.reportedValue === undefined) {
+      this.store.delete(path);
+      this.checkFeedbacks();
+      this.updateAllVariables();
+    } else {
+      this.store.set(path, pending.reportedValue);
     }
-    // Handle other global parameters as needed
+    this.updateUnconfirmedWrites();
   }
-}
-
-updateChannelStates(jsonData) {
-  if (jsonData && jsonData.children && jsonData.children.line) {
-    const lineChildren = jsonData.children.line.children || {};
 
-    for (const [key, channelData] of Object.entries(lineChildren)) {
-      const match = key.match(/^ch(\d+)$/);
-      if (match && channelData.values) {
-        const channelNumber = parseInt(match[1], 10);
-        const values = channelData.values;
+  // Forgets a write that something newer has overtaken, without rolling anything back
+  dropPendingWrite(path) {
+    const pending = this.pendingWrites[path];
+    if (pending) {
+      clearTimeout(pending.timer);
+      delete this.pendingWrites[path];
+      this.checkFeedbacks('parameter_unconfirmed');
+    }
+  }
 
-        // Initialize channel state if not existing
-        this.channelStates[channelNumber] = this.channelStates[channelNumber] || {};
+  clearPendingWrites() {
+    for (const pending of Object.values(this.pendingWrites)) {
+      clearTimeout(pending.timer);
+    }
+    this.pendingWrites = {};
+    this.unconfirmedWrites = {};
+  }
 
-        // Update mute state
-        if (values.mute !== undefined) {
-          this.channelStates[channelNumber].mute = values.mute > 0;
-        }
+  clearUnconfirmedWrites() {
+    this.unconfirmedWrites = {};
+    this.updateUnconfirmedWrites();
+  }
 
-        // Update solo state
-        if (values.solo !== undefined) {
-          this.channelStates[channelNumber].solo = values.solo > 0;
-        }
+  updateUnconfirmedWrites() {
+    this.checkFeedbacks('parameter_unconfirmed');
+    this.updateGlobalVariables();
+  }
 
-        // Update 48V state
-        if (values['48v'] !== undefined) {
-          this.channelStates[channelNumber]['48v'] = values['48v'] > 0;
-        }
+  isWriteUnconfirmed(path, includePending) {
+    if (!path) {
+      return Object.keys(this.unconfirmedWrites).length > 0 || (!!includePending && Object.keys(this.pendingWrites).length > 0);
+    }
+    return path in this.unconfirmedWrites || (!!includePending && path in this.pendingWrites);
+  }
 
-        // Update HPF state
-        if (values.hpf !== undefined) {
-          this.channelStates[channelNumber].hpf = values.hpf > 0;
-        }
+  // Sends a float (PV) or string (PS) value to any parameter path
+  setParameter(path, value) {
+    this.writeParameter(path, value);
+    this.log('info', `${path} set to ${value}`);
+  }
 
-        // Update pad state
-        if (values.pad !== undefined) {
-          this.channelStates[channelNumber].pad = values.pad > 0;
-        }
-      }
+  setChannelName(channelNumber, name) {
+    if (!name) {
+      this.log('warn', `Channel ${channelNumber}: refusing to set an empty name`);
+      return;
     }
+    this.setParameter(`line/ch${channelNumber}/username`, name);
   }
-}
 
-  buildUMPacket(udpPort) {
-    const header = Buffer.from('UC\x00\x01', 'ascii');
-    const type = Buffer.from('UM', 'ascii');
-    const addressPair = Buffer.alloc(4);
-    addressPair.writeUInt16LE(0x00, 0); // a=0x00
-    addressPair.writeUInt16LE(0x66, 2); // b=0x66
+  async toggleParameter(path) {
+    const state = await this.resolveToggleTarget(path, path);
+    if (state !== undefined) {
+      this.setParameter(path, state ? 1.0 : 0.0);
+    }
+  }
 
-    const portBuffer = Buffer.alloc(2);
-    portBuffer.writeUInt16LE(udpPort, 0);
+  stepParameter(path, step) {
+    const current = this.store.get(path);
+    if (typeof current !== 'number') {
+      this.log('warn', `${path} value unknown. Ignoring step.`);
+      return;
+    }
+    // UC parameters are normalised to 0..1
+    this.setParameter(path, Math.min(Math.max(current + step, 0), 1));
+  }
 
-    const payload = Buffer.concat([type, addressPair, portBuffer]);
+  getFaderPath(bus, channelNumber) {
+    if (bus === 'main') {
+      return 'main/ch1/volume';
+    }
+    if (bus === 'line' && this.sendsOnFaderAux) {
+      return this.getSendLevelPath(channelNumber, this.sendsOnFaderAux);
+    }
+    return `${bus}/ch${channelNumber}/volume`;
+  }
 
-    const size = Buffer.alloc(2);
-    size.writeUInt16LE(payload.length, 0);
+  getSendLevelPath(channelNumber, auxNumber) {
+    return `line/ch${channelNumber}/aux${auxNumber}`;
+  }
 
-    const packet = Buffer.concat([header, size, payload]);
+  getSendMutePath(channelNumber, auxNumber) {
+    return `line/ch${channelNumber}/aux${auxNumber}_mute`;
+  }
 
-    return packet;
+  getSendMute(channelNumber, auxNumber) {
+    const value = this.store.get(this.getSendMutePath(channelNumber, auxNumber));
+    return typeof value === 'number' ? value > 0 : undefined;
   }
 
-  buildJMPacket() {
-    const header = Buffer.from('UC\x00\x01', 'ascii');
-    const type = Buffer.from('JM', 'ascii');
-    const addressPair = Buffer.alloc(4);
-    addressPair.writeUInt16LE(0x68, 0); // a=0x68
-    addressPair.writeUInt16LE(0x66, 2); // b=0x66
+  setSendMute(channelNumber, auxNumber, mute) {
+    const path = this.getSendMutePath(channelNumber, auxNumber);
+    this.writeParameter(path, mute ? 1.0 : 0.0);
+    this.log('info', `Channel ${channelNumber} aux ${auxNumber} send mute set to ${mute}`);
+  }
 
-    const subMsg = {
-      id: 'Subscribe',
-      clientName: 'Universal Control',
-      clientInternalName: 'ucremoteapp',
-      clientType: 'iPhone',
-      clientDescription: 'iPhone',
-      clientIdentifier: 'BE705B5B-ACEC-4941-9ABA-4FB5CA04AC6D',
-      clientOptions: '',
-      clientEncoding: 23117,
-    };
+  async toggleSendMute(channelNumber, auxNumber) {
+    const mute = await this.resolveToggleTarget(
+      this.getSendMutePath(channelNumber, auxNumber),
+      `Channel ${channelNumber} aux ${auxNumber} send mute`
+    );
+    if (mute !== undefined) {
+      this.setSendMute(channelNumber, auxNumber, mute);
+    }
+  }
 
-    const subMsgStr = JSON.stringify(subMsg);
-    const subMsgBuffer = Buffer.from(subMsgStr, 'utf8');
+  setSendsOnFader(auxNumber) {
+    this.sendsOnFaderAux = auxNumber;
+    this.log('info', auxNumber ? `Sends on fader targeting aux ${auxNumber}` : 'Sends on fader off');
+    this.checkFeedbacks('sends_on_fader_active');
+    this.updateGlobalVariables();
+  }
 
-    const subMsgLength = Buffer.alloc(4);
-    subMsgLength.writeUInt32LE(subMsgBuffer.length, 0);
+  sendFaderValue(path, value) {
+    this.writeParameter(path, value);
+  }
 
-    const payload = Buffer.concat([type, addressPair, subMsgLength, subMsgBuffer]);
+  setFaderLevel(path, db) {
+    this.cancelFade(path);
+    this.sendFaderValue(path, dbToFloat(db));
+    this.log('info', `${path} set to ${db} dB`);
+  }
 
-    const size = Buffer.alloc(2);
-    size.writeUInt16LE(payload.length, 0);
+  nudgeFaderLevel(path, stepDb) {
+    this.cancelFade(path);
 
-    const packet = Buffer.concat([header, size, payload]);
+    const current = this.store.get(path);
+    if (typeof current !== 'number') {
+      this.log('warn', `${path} level unknown. Ignoring nudge.`);
+      return;
+    }
 
-    return packet;
+    const currentDb = Math.max(floatToDb(current), FADER_DB_MIN);
+    const newDb = Math.min(Math.max(currentDb + stepDb, FADER_DB_MIN), FADER_DB_MAX);
+    this.sendFaderValue(path, dbToFloat(newDb));
+    this.log('debug', `${path} nudged to ${newDb.toFixed(1)} dB`);
   }
 
-  buildKAPacket() {
-    const header = Buffer.from('UC\x00\x01', 'ascii');
-    const type = Buffer.from('KA', 'ascii');
-    const addressPair = Buffer.alloc(4);
-    addressPair.writeUInt16LE(0x68, 0); // a=0x68
-    addressPair.writeUInt16LE(0x66, 2); // b=0x66
+  fadeFaderLevel(path, targetDb, duration, curve) {
+    this.cancelFade(path);
 
-    const payload = Buffer.concat([type, addressPair]);
+    const current = this.store.get(path);
+    const target = dbToFloat(targetDb);
+    if (typeof current !== 'number' || duration <= 0) {
+      // Without a starting point there is nothing to interpolate from, so jump straight to the target
+      this.sendFaderValue(path, target);
+      return;
+    }
+
+    const curveFn = FADE_CURVES[curve] || FADE_CURVES.linear;
+    const startTime = Date.now();
+
+    const fade = { timer: null, sent: [] };
+    this.activeFades[path] = fade;
+    fade.timer = setInterval(() => {
+      const t = Math.min((Date.now() - startTime) / duration, 1);
+      const value = current + (target - current) * curveFn(t);
+      const now = Date.now();
+      // Only steps recent enough to still be echoed are kept
+      fade.sent = fade.sent.filter((step) => now - step.time <= FADE_ECHO_WINDOW);
+      fade.sent.push({ value, time: now });
+      this.sendFaderValue(path, value);
+
+      if (t >= 1) {
+        this.cancelFade(path);
+        this.log('debug', `${path} fade to ${targetDb} dB complete`);
+      }
+    }, FADE_STEP_INTERVAL);
+  }
 
-    const size = Buffer.alloc(2);
-    size.writeUInt16LE(payload.length, 0);
+  cancelFade(path) {
+    delete this.interruptedFades[path];
+    if (this.activeFades[path]) {
+      clearInterval(this.activeFades[path].timer);
+      delete this.activeFades[path];
+    }
+  }
 
-    const packet = Buffer.concat([header, size, payload]);
+  updateMeter(meterType, index, value, now) {
+    this.meters[meterType][index] = value;
+
+    const peak = this.meterPeaks[meterType][index];
+    if (!peak || value >= peak.value || now - peak.time > METER_PEAK_HOLD) {
+      this.meterPeaks[meterType][index] = { value, time: now };
+    }
 
-    return packet;
+    if (value >= METER_CLIP_LEVEL) {
+      this.meterClips[meterType][index] = now + METER_PEAK_HOLD;
+    }
   }
 
-  buildPVPacket(name, value) {
-    const header = Buffer.from('UC\x00\x01', 'ascii');
-    const type = Buffer.from('PV', 'ascii');
-    const addressPair = Buffer.alloc(4);
-    addressPair.writeUInt16LE(0x68, 0); // a=0x68
-    addressPair.writeUInt16LE(0x66, 2); // b=0x66
+  startMeterTimers() {
+    this.stopMeterTimers();
 
-    const nameBuffer = Buffer.from(name, 'utf8');
-    const padding = Buffer.alloc(3, 0x00); // 3 bytes of padding
-    const valueBuffer = Buffer.alloc(4);
-    valueBuffer.writeFloatLE(value, 0);
+    const interval = Math.max(this.config.meterInterval || METER_INTERVAL_DEFAULT, 20);
+
+    // Meter packets can arrive far faster than buttons need redrawing, so only redraw on a fixed tick
+    this.meterFeedbackInterval = setInterval(() => {
+      if (this.lastMeterTime && Date.now() - this.lastMeterTime > METER_STALE_TIME) {
+        this.log('debug', 'No meter data received, clearing meters');
+        this.clearMeters();
+      }
+      if (this.meterDirty) {
+        this.meterDirty = false;
+        this.meterVariablesDirty = true;
+        this.checkFeedbacks('meter_bar', 'meter_clip', 'channel_gain_reduction');
+      }
+    }, interval);
 
-    const payload = Buffer.concat([type, addressPair, nameBuffer, padding, valueBuffer]);
+    this.meterVariableInterval = setInterval(() => {
+      if (this.meterVariablesDirty) {
+        this.meterVariablesDirty = false;
+        this.updateMeterVariables();
+      }
+    }, METER_VARIABLE_INTERVAL);
+  }
 
-    const size = Buffer.alloc(2);
-    size.writeUInt16LE(payload.length, 0);
+  stopMeterTimers() {
+    if (this.meterFeedbackInterval) {
+      clearInterval(this.meterFeedbackInterval);
+      this.meterFeedbackInterval = null;
+    }
+    if (this.meterVariableInterval) {
+      clearInterval(this.meterVariableInterval);
+      this.meterVariableInterval = null;
+    }
+  }
 
-    const packet = Buffer.concat([header, size, payload]);
+  // Drops all meter and gain reduction values so nothing shows levels that are no longer live
+  clearMeters() {
+    const hadMeters = this.lastMeterTime !== 0;
+    this.lastMeterTime = 0;
+    for (const meterType of METER_TYPES) {
+      this.meters[meterType.id] = [];
+      this.meterPeaks[meterType.id] = [];
+      this.meterClips[meterType.id] = [];
+    }
+    this.gainReduction = { gate: [], comp: [] };
+    if (!hadMeters) {
+      return;
+    }
 
-    return packet;
+    this.meterDirty = false;
+    this.checkFeedbacks('meter_bar', 'meter_clip', 'channel_gain_reduction');
+    const values = {};
+    for (const meterType of METER_TYPES) {
+      for (let index = 0; index < this.variableMeters[meterType.id]; index++) {
+        values[`${meterType.variablePrefix}${index + 1}`] = '';
+      }
+    }
+    this.meterVariableValues = {};
+    this.setVariableValues(values);
   }
 
-toggleMixerBypass() {
-  const newBypassState = !this.mixerBypassState;
-  this.setMixerBypass(newBypassState);
-  this.mixerBypassState = newBypassState;
-  this.log('info', `Mixer Bypass toggled to ${newBypassState}`);
-}
+  updateMeterVariables() {
+    let defined = false;
+    for (const meterType of METER_TYPES) {
+      if (this.meters[meterType.id].length > this.variableMeters[meterType.id]) {
+        this.variableMeters[meterType.id] = this.meters[meterType.id].length;
+        defined = true;
+      }
+    }
+    if (defined) {
+      this.updateVariableDefinitions();
+      this.meterVariableValues = {};
+    }
 
-  setMixerBypass(bypass) {
-    const packet = this.buildPVPacket('global/mixerBypass', bypass ? 1.0 : 0.0);
-    this.sendPacket(packet);
+    const values = {};
+    for (const meterType of METER_TYPES) {
+      this.meters[meterType.id].forEach((value, index) => {
+        const variableId = `${meterType.variablePrefix}${index + 1}`;
+        const text = meterToDb(value).toFixed(1);
+        if (this.meterVariableValues[variableId] !== text) {
+          this.meterVariableValues[variableId] = text;
+          values[variableId] = text;
+        }
+      });
+    }
+    if (Object.keys(values).length > 0) {
+      this.setVariableValues(values);
+    }
   }
 
-  setChannelMute(channelNumber, mute) {
-    const packet = this.buildPVPacket(`line/ch${channelNumber}/mute`, mute ? 1.0 : 0.0);
-    this.sendPacket(packet);
+  // Draws a meter bar as an ARGB image buffer: green up to -18 dBFS, yellow up to -6, red above,
+  // with a white line at the held peak
+  drawMeterBar(meterType, channelNumber, position, size) {
+    const value = this.meters[meterType][channelNumber - 1];
+    if (value === undefined) {
+      return {};
+    }
+    const peak = this.meterPeaks[meterType][channelNumber - 1];
+
+    const vertical = position !== 'bottom';
+    const thickness = 6;
+    const width = vertical ? thickness : size.width;
+    const height = vertical ? size.height : thickness;
+    const length = vertical ? height : width;
+
+    const toPixels = (db) => Math.round(((db - METER_DB_FLOOR) / -METER_DB_FLOOR) * length);
+    const levelPixels = toPixels(meterToDb(value));
+    const peakPixel = peak ? Math.min(toPixels(meterToDb(peak.value)), length - 1) : -1;
+    const yellowFrom = toPixels(-18);
+    const redFrom = toPixels(-6);
+
+    const buffer = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        // Distance along the meter, 0 at the quiet end
+        const along = vertical ? height - 1 - y : x;
+        let color = [0x40, 0x20, 0x20, 0x20]; // Unlit segment
+        if (along === peakPixel && peakPixel > 0) {
+          color = [0xff, 0xff, 0xff, 0xff];
+        } else if (along < levelPixels) {
+          if (along >= redFrom) {
+            color = [0xff, 0xff, 0x00, 0x00];
+          } else if (along >= yellowFrom) {
+            color = [0xff, 0xff, 0xcc, 0x00];
+          } else {
+            color = [0xff, 0x00, 0xcc, 0x00];
+          }
+        }
+        const offset = (y * width + x) * 4;
+        buffer[offset] = color[0];
+        buffer[offset + 1] = color[1];
+        buffer[offset + 2] = color[2];
+        buffer[offset + 3] = color[3];
+      }
+    }
+
+    return {
+      imageBuffer: buffer,
+      imageBufferPosition: {
+        x: position === 'right' ? size.width - width : 0,
+        y: position === 'bottom' ? size.height - height : 0,
+        width,
+        height,
+      },
+    };
   }
 
-  toggleChannelMute(channelNumber) {
-    const currentState = this.channelStates[channelNumber];
+  getGroupMute(groupType, groupNumber) {
+    const value = this.store.get(`${GROUP_TYPES[groupType].prefix}/ch${groupNumber}/mute`);
+    return typeof value === 'number' ? value > 0 : undefined;
+  }
 
-    if (currentState && typeof currentState.mute === 'boolean') {
-      const newMuteState = !currentState.mute;
-      this.setChannelMute(channelNumber, newMuteState);
-      this.channelStates[channelNumber].mute = newMuteState;
-      this.log('info', `Channel ${channelNumber} mute toggled to ${newMuteState}`);
-    } else {
-      // If we don't know the current state, default to muting
-      this.setChannelMute(channelNumber, true);
-      this.channelStates[channelNumber] = { mute: true };
-      this.log('warn', `Channel ${channelNumber} mute state unknown. Defaulting to mute.`);
+  setGroupMute(groupType, groupNumber, mute) {
+    const group = GROUP_TYPES[groupType];
+    const path = `${group.prefix}/ch${groupNumber}/mute`;
+    this.writeParameter(path, mute ? 1.0 : 0.0);
+    this.log('info', `${group.label} ${groupNumber} mute set to ${mute}`);
+  }
+
+  async toggleGroupMute(groupType, groupNumber) {
+    const group = GROUP_TYPES[groupType];
+    const mute = await this.resolveToggleTarget(`${group.prefix}/ch${groupNumber}/mute`, `${group.label} ${groupNumber} mute`);
+    if (mute !== undefined) {
+      this.setGroupMute(groupType, groupNumber, mute);
     }
-      this.log('info', 'Calling checkFeedbacks for channel_mute_state');
-      this.checkFeedbacks('channel_mute_state');
   }
 
-  toggleChannelSolo(channelNumber) {
-  const currentState = this.channelStates[channelNumber];
-
-  if (currentState && typeof currentState.solo === 'boolean') {
-    const newSoloState = !currentState.solo;
-    this.setChannelSolo(channelNumber, newSoloState);
-    this.channelStates[channelNumber].solo = newSoloState;
-    this.log('info', `Channel ${channelNumber} solo toggled to ${newSoloState}`);
-  } else {
-    // If we don't know the current state, default to soloing
-    this.setChannelSolo(channelNumber, true);
-    this.channelStates[channelNumber] = { ...currentState, solo: true };
-    this.log('warn', `Channel ${channelNumber} solo state unknown. Defaulting to solo.`);
-  }
-    this.checkFeedbacks('channel_solo_state');
-}
+  // Returns the muted groups a channel is assigned to, e.g. [{ groupType: 'dca', groupNumber: 2 }]
+  getMutingGroups(channelNumber) {
+    const muting = [];
+    for (const [groupType, group] of Object.entries(GROUP_TYPES)) {
+      for (const [, value, [groupNumber]] of this.store.match(`line/ch${channelNumber}/${group.prefix}*`)) {
+        if (value > 0 && this.getGroupMute(groupType, groupNumber)) {
+          muting.push({ groupType, groupNumber: parseInt(groupNumber, 10) });
+        }
+      }
+    }
+    return muting;
+  }
 
-  setChannelSolo(channelNumber, solo) {
-    const packet = this.buildPVPacket(`line/ch${channelNumber}/solo`, solo ? 1.0 : 0.0);
-    this.sendPacket(packet);
+  getPresetChoices(presetType) {
+    return this.presetLists[presetType].map((file) => ({ id: file, label: file.replace(/\.[^.]+$/, '') }));
   }
 
-  toggleChannel48V(channelNumber) {
-    const currentState = this.channelStates[channelNumber];
+  requestPresetLists() {
+    for (const [presetType, { listPath }] of Object.entries(PRESET_TYPES)) {
+      const requestId = this.nextFileRequestId;
+      this.nextFileRequestId = (this.nextFileRequestId % 0xffff) + 1;
+      this.fileRequests[requestId] = { presetType };
+      this.sendPacket(this.buildFRPacket(requestId, listPath));
+    }
+  }
 
-    if (currentState && typeof currentState['48v'] === 'boolean') {
-      const new48VState = !currentState['48v'];
-      this.setChannel48V(channelNumber, new48VState);
-      this.channelStates[channelNumber]['48v'] = new48VState;
-      this.log('info', `Channel ${channelNumber} 48V toggled to ${new48VState}`);
-    } else {
-      // If we don't know the current state, default to turning 48V off
-      this.setChannel48V(channelNumber, false);
-      this.channelStates[channelNumber] = { ...currentState, '48v': false };
-      this.log('warn', `Channel ${channelNumber} 48V state unknown. Defaulting to off.`);
+  updatePresetList(presetType, files) {
+    this.log('debug', `Received ${files.length} ${PRESET_TYPES[presetType].label.toLowerCase()} presets`);
+    this.presetLists[presetType] = files;
+    // Re-publish so the dropdowns offer the new list
+    this.initActions();
+    this.initFeedbacks();
+  }
+
+  recallPreset(presetType, file) {
+    if (!file) {
+      this.log('warn', `Recall ${PRESET_TYPES[presetType].label}: nothing selected`);
+      return;
     }
+
+    this.sendPacket(
+      this.buildJSONPacket({
+        id: 'RestorePreset',
+        url: `${PRESET_TYPES[presetType].folder}/${file}`,
+      })
+    );
+    this.activePreset[presetType] = file;
+    this.log('info', `Recalled ${PRESET_TYPES[presetType].label.toLowerCase()} ${file}`);
+    this.checkFeedbacks('active_preset');
+    this.updateGlobalVariables();
   }
 
-  setChannel48V(channelNumber, state) {
-    const packet = this.buildPVPacket(`line/ch${channelNumber}/48v`, state ? 1.0 : 0.0);
-    this.sendPacket(packet);
+  storePreset(presetType, name) {
+    if (!name) {
+      this.log('warn', `Store ${PRESET_TYPES[presetType].label}: no name given`);
+      return;
+    }
+
+    this.sendPacket(
+      this.buildJSONPacket({
+        id: 'StorePreset',
+        url: PRESET_TYPES[presetType].folder,
+        name,
+      })
+    );
+    this.log('info', `Stored ${PRESET_TYPES[presetType].label.toLowerCase()} ${name}`);
+    // The stored file shows up in the list once UC has written it
+    clearTimeout(this.presetListTimer);
+    this.presetListTimer = setTimeout(() => {
+      this.presetListTimer = null;
+      this.requestPresetLists();
+    }, 1000);
   }
 
-  toggleChannelHPF(channelNumber) {
-    const currentState = this.channelStates[channelNumber];
+  cancelAllFades() {
+    for (const path of Object.keys(this.activeFades)) {
+      this.cancelFade(path);
+    }
+    this.interruptedFades = {};
+  }
 
-    if (currentState && typeof currentState.hpf === 'boolean') {
-      const newHPFState = !currentState.hpf;
-      this.setChannelHPF(channelNumber, newHPFState);
-      this.channelStates[channelNumber].hpf = newHPFState;
-      this.log('info', `Channel ${channelNumber} HPF toggled to ${newHPFState}`);
-    } else {
-      // If we don't know the current state, default to turning HPF off
-      this.setChannelHPF(channelNumber, false);
-      this.channelStates[channelNumber] = { ...currentState, hpf: false };
-      this.log('warn', `Channel ${channelNumber} HPF state unknown. Defaulting to off.`);
+  // Starts or stops the packet capture to match the config
+  async updateCapture() {
+    let file = null;
+    if (this.config.captureEnabled) {
+      // Keep appending to the same temp file across config saves
+      if (!this.config.captureFile && !this.defaultCapturePath) {
+        this.defaultCapturePath = this.getDefaultCapturePath();
+      }
+      file = this.config.captureFile || this.defaultCapturePath;
+    }
+    if (this.capture && this.capture.file === file) {
+      return;
+    }
+
+    await this.stopCapture();
+    if (!file) {
+      return;
     }
-      this.checkFeedbacks('channel_hpf_state');
+
+    this.capture = new CaptureRecorder(file);
+    this.capture.stream.on('error', (err) => {
+      this.log('error', `Packet capture failed: ${err.message}`);
+      this.capture = null;
+    });
+    this.log('info', `Recording packet capture to ${file}`);
   }
 
-  setChannelHPF(channelNumber, state) {
-    const packet = this.buildPVPacket(`line/ch${channelNumber}/hpf`, state ? 1.0 : 0.0);
-    this.sendPacket(packet);
+  async stopCapture() {
+    if (!this.capture) {
+      return;
+    }
+    const capture = this.capture;
+    this.capture = null;
+    await capture.close();
+    this.log('info', `Packet capture stopped, ${capture.frameCount} frames written to ${capture.file}`);
   }
 
-  toggleChannelPad(channelNumber) {
-    const currentState = this.channelStates[channelNumber];
+  getDefaultCapturePath() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return join(os.tmpdir(), `uc-capture-${stamp}.jsonl`);
+  }
 
-    if (currentState && typeof currentState.pad === 'boolean') {
-      const newPadState = !currentState.pad;
-      this.setChannelPad(channelNumber, newPadState);
-      this.channelStates[channelNumber].pad = newPadState;
-      this.log('info', `Channel ${channelNumber} pad toggled to ${newPadState}`);
-    } else {
-      // If we don't know the current state, default to turning pad off
-      this.setChannelPad(channelNumber, false);
-      this.channelStates[channelNumber] = { ...currentState, pad: false };
-      this.log('warn', `Channel ${channelNumber} pad state unknown. Defaulting to off.`);
+  recordFrame(direction, transport, data) {
+    if (this.capture) {
+      this.capture.record(direction, transport, data);
     }
-      this.checkFeedbacks('channel_pad_state');
   }
 
-  setChannelPad(channelNumber, state) {
-    const packet = this.buildPVPacket(`line/ch${channelNumber}/pad`, state ? 1.0 : 0.0);
-    this.sendPacket(packet);
+  // Feeds the received frames of a capture file back through the parser. With realtime the
+  // original gaps between frames are kept, otherwise everything is replayed at once.
+  replayCapture(file, realtime) {
+    let frames;
+    try {
+      frames = readCapture(file).filter((frame) => frame.direction === 'in');
+    } catch (error) {
+      this.log('error', `Cannot read capture ${file}: ${error.message}`);
+      return;
+    }
+
+    this.stopReplay();
+    if (this.connected) {
+      this.log('warn', 'Replaying a capture while connected, live and replayed state will mix');
+    }
+    this.log('info', `Replaying ${frames.length} frames from ${file}`);
+
+    // A separate reader so replayed TCP data cannot merge with a live partial packet
+    const reader = new PacketReader((count, reason) => {
+      this.log('warn', `Replay: discarding ${count} bytes (${reason})`);
+    });
+    // Returns false when a packet in the frame could not be processed, which ends the replay
+    const feed = (index) => {
+      const frame = frames[index];
+      const failures = frame.transport === 'udp' ? this.handleIncomingUDPData(frame.data) : this.handleIncomingData(frame.data, reader);
+      if (failures > 0) {
+        this.log('error', `Replay stopped at frame ${index + 1} of ${frames.length} (${frame.direction} ${frame.transport}, time ${frame.time}): ${failures} packet(s) could not be processed`);
+        return false;
+      }
+      return true;
+    };
+
+    if (!realtime) {
+      for (let index = 0; index < frames.length; index++) {
+        if (!feed(index)) {
+          return;
+        }
+      }
+      this.log('info', 'Replay finished');
+      return;
+    }
+
+    const next = (index) => {
+      this.replayTimer = null;
+      if (index >= frames.length) {
+        this.log('info', 'Replay finished');
+        return;
+      }
+      if (!feed(index)) {
+        return;
+      }
+      const delay = index + 1 < frames.length ? Math.max(frames[index + 1].time - frames[index].time, 0) : 0;
+      this.replayTimer = setTimeout(() => next(index + 1), delay);
+    };
+    next(0);
+  }
+
+  stopReplay() {
+    if (this.replayTimer) {
+      clearTimeout(this.replayTimer);
+      this.replayTimer = null;
+      this.log('info', 'Replay stopped');
+    }
   }
 }
 
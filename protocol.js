@@ -0,0 +1,425 @@
+// protocol.js
+// Encoder/decoder for the Universal Control (UC) wire format. Has no Companion dependencies so it
+// can be used by tools and tests outside the module instance.
+//
+// Every packet is framed as:
+//   'UC'  version (0x00 0x01)  uint16 LE payload size  |  2 char type  uint16 LE a  uint16 LE b  body
+// where (a, b) is the address pair (sender, receiver).
+const zlib = require('zlib');
+
+const MAGIC = 'UC';
+const HEADER_SIZE = 6; // 'UC', version, payload size
+const PAYLOAD_HEADER_SIZE = 6; // type, address pair
+const MAX_PAYLOAD_SIZE = 0xffff;
+
+// Every message type the module knows about
+const PACKET_TYPES = {
+  UM: 'Hello, announces the UDP port of the client',
+  JM: 'JSON message',
+  KA: 'Keep alive',
+  PV: 'Parameter value (float)',
+  PS: 'Parameter string value',
+  PL: 'Parameter string list',
+  ZM: 'Compressed JSON state snapshot',
+  FR: 'File request',
+  FD: 'File data',
+  BO: 'Binary object',
+  MS: 'Meter data',
+  DA: 'Discovery announcement',
+};
+
+class ProtocolError extends Error {
+  constructor(message, code, packetType) {
+    super(packetType ? `${packetType} packet: ${message}` : message);
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.packetType = packetType;
+  }
+}
+
+// Reads a string up to the first null byte. Returns [string, offset after the terminator]
+function readCString(buffer, offset) {
+  let end = buffer.indexOf(0, offset);
+  if (end === -1) {
+    end = buffer.length;
+  }
+  return [buffer.toString('utf8', offset, end), Math.min(end + 1, buffer.length)];
+}
+
+// Parameter packets (PV, PS, PL) start with the path, null terminated and padded to 3 null bytes
+function encodeParameterName(name) {
+  return Buffer.concat([Buffer.from(name, 'utf8'), Buffer.alloc(3, 0x00)]);
+}
+
+function decodeParameterName(body, type) {
+  const end = body.indexOf(0);
+  if (end <= 0) {
+    throw new ProtocolError('missing parameter name', 'BAD_BODY', type);
+  }
+  let offset = end;
+  while (offset < body.length && offset < end + 3 && body[offset] === 0) {
+    offset++;
+  }
+  return [body.toString('utf8', 0, end), offset];
+}
+
+const bodyCodecs = {
+  UM: {
+    encode: ({ udpPort }) => {
+      const body = Buffer.alloc(2);
+      body.writeUInt16LE(udpPort, 0);
+      return body;
+    },
+    decode: (body, type) => {
+      if (body.length < 2) {
+        throw new ProtocolError('missing UDP port', 'TRUNCATED', type);
+      }
+      return { udpPort: body.readUInt16LE(0) };
+    },
+  },
+
+  JM: {
+    encode: ({ message }) => {
+      const json = Buffer.from(JSON.stringify(message), 'utf8');
+      const length = Buffer.alloc(4);
+      length.writeUInt32LE(json.length, 0);
+      return Buffer.concat([length, json]);
+    },
+    decode: (body, type) => {
+      if (body.length < 4) {
+        throw new ProtocolError('missing JSON length', 'TRUNCATED', type);
+      }
+      const length = body.readUInt32LE(0);
+      if (body.length < 4 + length) {
+        throw new ProtocolError(`JSON length ${length} exceeds body of ${body.length - 4} bytes`, 'TRUNCATED', type);
+      }
+      try {
+        return { message: JSON.parse(body.toString('utf8', 4, 4 + length)) };
+      } catch (error) {
+        throw new ProtocolError(`invalid JSON: ${error.message}`, 'BAD_BODY', type);
+      }
+    },
+  },
+
+  KA: {
+    encode: () => Buffer.alloc(0),
+    decode: () => ({}),
+  },
+
+  PV: {
+    encode: ({ name, value }) => {
+      const valueBuffer = Buffer.alloc(4);
+      valueBuffer.writeFloatLE(value, 0);
+      return Buffer.concat([encodeParameterName(name), valueBuffer]);
+    },
+    decode: (body, type) => {
+      if (body.length < 5) {
+        throw new ProtocolError('too short for a name and a float', 'TRUNCATED', type);
+      }
+      // The float always sits in the last 4 bytes, whatever the padding before it
+      const name = body.toString('utf8', 0, body.length - 4).replace(/\0/g, '');
+      return { name, value: body.readFloatLE(body.length - 4) };
+    },
+  },
+
+  PS: {
+    encode: ({ name, value }) => Buffer.concat([encodeParameterName(name), Buffer.from(`${value}\0`, 'utf8')]),
+    decode: (body, type) => {
+      const [name, offset] = decodeParameterName(body, type);
+      const [value] = readCString(body, offset);
+      return { name, value };
+    },
+  },
+
+  PL: {
+    encode: ({ name, values }) =>
+      Buffer.concat([encodeParameterName(name), Buffer.from(`${values.join('\n')}\0`, 'utf8')]),
+    decode: (body, type) => {
+      const [name, offset] = decodeParameterName(body, type);
+      const [list] = readCString(body, offset);
+      return { name, values: list === '' ? [] : list.split('\n') };
+    },
+  },
+
+  ZM: {
+    encode: ({ tree }) => {
+      const json = Buffer.from(JSON.stringify(tree), 'utf8');
+      const length = Buffer.alloc(4);
+      length.writeUInt32LE(json.length, 0);
+      return Buffer.concat([length, zlib.deflateSync(json)]);
+    },
+    decode: (body, type) => {
+      if (body.length < 6) {
+        throw new ProtocolError('too short for a compressed snapshot', 'TRUNCATED', type);
+      }
+      let json;
+      try {
+        // Skip the 4 byte length and the 2 byte zlib header; the trailing checksum is ignored
+        json = zlib.inflateRawSync(body.slice(6)).toString('utf8');
+      } catch (error) {
+        throw new ProtocolError(`cannot decompress: ${error.message}`, 'BAD_BODY', type);
+      }
+      try {
+        return { tree: JSON.parse(json) };
+      } catch (error) {
+        throw new ProtocolError(`invalid JSON: ${error.message}`, 'BAD_BODY', type);
+      }
+    },
+  },
+
+  FR: {
+    encode: ({ requestId, path }) => {
+      const id = Buffer.alloc(2);
+      id.writeUInt16LE(requestId, 0);
+      return Buffer.concat([id, Buffer.from(path, 'utf8'), Buffer.alloc(2, 0x00)]);
+    },
+    decode: (body, type) => {
+      if (body.length < 2) {
+        throw new ProtocolError('missing request id', 'TRUNCATED', type);
+      }
+      const [path] = readCString(body, 2);
+      return { requestId: body.readUInt16LE(0), path };
+    },
+  },
+
+  FD: {
+    encode: ({ requestId, content }) => {
+      const id = Buffer.alloc(2);
+      id.writeUInt16LE(requestId, 0);
+      return Buffer.concat([id, Buffer.from(content)]);
+    },
+    decode: (body, type) => {
+      if (body.length < 2) {
+        throw new ProtocolError('missing request id', 'TRUNCATED', type);
+      }
+      return { requestId: body.readUInt16LE(0), content: body.slice(2) };
+    },
+  },
+
+  BO: {
+    encode: ({ id, content }) => {
+      const header = Buffer.alloc(4);
+      header.writeUInt16LE(id, 0);
+      header.writeUInt16LE(0, 2); // reserved
+      return Buffer.concat([header, Buffer.from(content)]);
+    },
+    decode: (body, type) => {
+      if (body.length < 4) {
+        throw new ProtocolError('missing object id', 'TRUNCATED', type);
+      }
+      return { id: body.readUInt16LE(0), content: body.slice(4) };
+    },
+  },
+
+  // One or more blocks of: 4 character id, uint16 count, count uint16 levels. A block cut short
+  // ends the list but keeps the blocks before it; its id is returned as truncated.
+  MS: {
+    encode: ({ blocks }) =>
+      Buffer.concat(
+        blocks.map(({ id, values }) => {
+          const block = Buffer.alloc(6 + values.length * 2);
+          block.write(id.padEnd(4).slice(0, 4), 0, 'ascii');
+          block.writeUInt16LE(values.length, 4);
+          values.forEach((value, index) => block.writeUInt16LE(value, 6 + index * 2));
+          return block;
+        })
+      ),
+    decode: (body, type) => {
+      const blocks = [];
+      let offset = 0;
+      while (offset + 6 <= body.length) {
+        const id = body.toString('ascii', offset, offset + 4);
+        const count = body.readUInt16LE(offset + 4);
+        offset += 6;
+        if (offset + count * 2 > body.length) {
+          return { blocks, truncated: id };
+        }
+        const values = [];
+        for (let i = 0; i < count; i++) {
+          values.push(body.readUInt16LE(offset + i * 2));
+        }
+        blocks.push({ id, values });
+        offset += count * 2;
+      }
+      return { blocks };
+    },
+  },
+
+  // uint16 TCP port, uint16 reserved, then null-separated model, device class, serial and name
+  DA: {
+    encode: ({ port, model, deviceClass, serial, name }) => {
+      const header = Buffer.alloc(4);
+      header.writeUInt16LE(port, 0);
+      return Buffer.concat([header, Buffer.from(`${model}\0${deviceClass}\0${serial}\0${name || ''}\0`, 'utf8')]);
+    },
+    decode: (body, type) => {
+      if (body.length < 4) {
+        throw new ProtocolError('missing port', 'TRUNCATED', type);
+      }
+      const [model, deviceClass, serial, name] = body.toString('utf8', 4).split('\0');
+      if (!serial) {
+        throw new ProtocolError('missing serial number', 'BAD_BODY', type);
+      }
+      return { port: body.readUInt16LE(0), model, deviceClass, serial, name: name || model };
+    },
+  },
+};
+
+// Builds a complete packet. addressPair is { a, b }.
+function encodePacket(type, addressPair, fields = {}) {
+  const codec = bodyCodecs[type];
+  if (!codec) {
+    throw new ProtocolError(`unknown packet type "${type}"`, 'UNKNOWN_TYPE');
+  }
+
+  const body = codec.encode(fields);
+  const payloadHeader = Buffer.alloc(PAYLOAD_HEADER_SIZE);
+  payloadHeader.write(type, 0, 'ascii');
+  payloadHeader.writeUInt16LE(addressPair.a, 2);
+  payloadHeader.writeUInt16LE(addressPair.b, 4);
+
+  const payloadSize = PAYLOAD_HEADER_SIZE + body.length;
+  if (payloadSize > MAX_PAYLOAD_SIZE) {
+    throw new ProtocolError(`payload of ${payloadSize} bytes does not fit in one packet`, 'TOO_LARGE', type);
+  }
+
+  const header = Buffer.from('UC\x00\x01', 'ascii');
+  const size = Buffer.alloc(2);
+  size.writeUInt16LE(payloadSize, 0);
+
+  return Buffer.concat([header, size, payloadHeader, body]);
+}
+
+// UC writes the version as 0x00 0x01; accept the little-endian form as well
+function hasValidHeader(buffer, offset = 0) {
+  if (buffer.toString('ascii', offset, offset + 2) !== MAGIC) {
+    return false;
+  }
+  const version = buffer.readUInt16LE(offset + 2);
+  return version === 0x0100 || version === 0x0001;
+}
+
+// Decodes one complete packet. Returns { type, addressPair, data, size, ...fields } where data
+// is the raw body and the fields depend on the type (they never reuse the names above). Unknown
+// types decode with only the raw body.
+function decodePacket(buffer) {
+  if (buffer.length < HEADER_SIZE) {
+    throw new ProtocolError(`packet of ${buffer.length} bytes is too small to be valid`, 'TRUNCATED');
+  }
+  if (buffer.toString('ascii', 0, 2) !== MAGIC) {
+    throw new ProtocolError('invalid header, expected "UC"', 'BAD_MAGIC');
+  }
+  if (!hasValidHeader(buffer)) {
+    throw new ProtocolError(`unsupported protocol version ${buffer.readUInt16BE(2)}`, 'BAD_VERSION');
+  }
+
+  const payloadSize = buffer.readUInt16LE(4);
+  if (payloadSize < PAYLOAD_HEADER_SIZE) {
+    throw new ProtocolError(`payload of ${payloadSize} bytes is too small to hold a type`, 'TRUNCATED');
+  }
+  if (buffer.length < HEADER_SIZE + payloadSize) {
+    throw new ProtocolError(
+      `incomplete packet, expected ${HEADER_SIZE + payloadSize} bytes but got ${buffer.length}`,
+      'TRUNCATED'
+    );
+  }
+
+  const payload = buffer.slice(HEADER_SIZE, HEADER_SIZE + payloadSize);
+  const type = payload.toString('ascii', 0, 2);
+  const packet = {
+    type,
+    addressPair: {
+      a: payload.readUInt16LE(2),
+      b: payload.readUInt16LE(4),
+    },
+    data: payload.slice(PAYLOAD_HEADER_SIZE),
+    size: HEADER_SIZE + payloadSize,
+  };
+
+  const codec = bodyCodecs[type];
+  if (codec) {
+    Object.assign(packet, codec.decode(packet.data, type));
+  }
+
+  return packet;
+}
+
+// Splits a buffer holding whole packets back to back (e.g. a UDP datagram) into decoded packets
+function decodePackets(buffer) {
+  const packets = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const packet = decodePacket(buffer.slice(offset));
+    packets.push(packet);
+    offset += packet.size;
+  }
+  return packets;
+}
+
+// Reassembles packets from a TCP byte stream. push() returns the packets completed by the new
+// data; anything that cannot be a packet is skipped and reported through onDiscard.
+class PacketReader {
+  constructor(onDiscard = () => {}) {
+    this.buffer = Buffer.alloc(0);
+    this.onDiscard = onDiscard;
+  }
+
+  reset() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  // Returns [{ packet }|{ error }], so one bad packet does not lose the rest of the chunk
+  push(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    const results = [];
+
+    while (this.buffer.length >= HEADER_SIZE) {
+      const headerIndex = this.buffer.indexOf(MAGIC, 0, 'ascii');
+      if (headerIndex === -1) {
+        // Keep a trailing 'U' in case the 'C' arrives with the next chunk
+        const keep = this.buffer[this.buffer.length - 1] === 0x55 ? 1 : 0;
+        this.onDiscard(this.buffer.length - keep, 'no header found');
+        this.buffer = this.buffer.slice(this.buffer.length - keep);
+        break;
+      }
+      if (headerIndex > 0) {
+        this.onDiscard(headerIndex, "bytes before 'UC' header");
+        this.buffer = this.buffer.slice(headerIndex);
+        continue;
+      }
+      if (this.buffer.length < HEADER_SIZE) {
+        break;
+      }
+      if (!hasValidHeader(this.buffer)) {
+        this.onDiscard(2, 'invalid version in header');
+        this.buffer = this.buffer.slice(2);
+        continue;
+      }
+
+      const totalSize = HEADER_SIZE + this.buffer.readUInt16LE(4);
+      if (this.buffer.length < totalSize) {
+        break;
+      }
+
+      const packetData = this.buffer.slice(0, totalSize);
+      this.buffer = this.buffer.slice(totalSize);
+      try {
+        results.push({ packet: decodePacket(packetData) });
+      } catch (error) {
+        results.push({ error });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = {
+  PACKET_TYPES,
+  ProtocolError,
+  PacketReader,
+  encodePacket,
+  decodePacket,
+  decodePackets,
+  hasValidHeader,
+};
@@ -0,0 +1,127 @@
+// store.js
+const EventEmitter = require('events');
+
+// Turns a path pattern such as 'line/ch*/mute' into a RegExp. Each '*' matches within one
+// path segment and is captured, so subscribers get the wildcard values back (e.g. ['1']).
+function compilePattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  const source = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('([^/]*)');
+  return new RegExp(`^${source}$`);
+}
+
+// Path-keyed store for every parameter the console reports, e.g. 'line/ch1/mute' => 1.
+// Emits 'change' (path, value, oldValue) for single updates and 'snapshot' (changes) after
+// a whole tree has been ingested, so a ZM snapshot does not fire hundreds of change events.
+class ParameterStore extends EventEmitter {
+  constructor() {
+    super();
+    this.values = new Map();
+    this.subscriptions = [];
+  }
+
+  get(path) {
+    return this.values.get(path);
+  }
+
+  has(path) {
+    return this.values.has(path);
+  }
+
+  paths() {
+    return Array.from(this.values.keys());
+  }
+
+  // Returns [path, value, captures] for every stored path matching the pattern
+  match(pattern) {
+    const regex = compilePattern(pattern);
+    const results = [];
+    for (const [path, value] of this.values) {
+      const match = path.match(regex);
+      if (match) {
+        results.push([path, value, match.slice(1)]);
+      }
+    }
+    return results;
+  }
+
+  set(path, value) {
+    const oldValue = this.values.get(path);
+    if (oldValue === value && this.values.has(path)) {
+      return false;
+    }
+
+    this.values.set(path, value);
+    this.emit('change', path, value, oldValue);
+    this.notify(path, value, oldValue);
+    return true;
+  }
+
+  delete(path) {
+    return this.values.delete(path);
+  }
+
+  clear() {
+    this.values.clear();
+  }
+
+  // Walks a UC JSON tree ({ values: {...}, children: {...} }) and stores every primitive value
+  // under its slash-separated path, except paths keep(path) holds on to. Returns the list of
+  // changed paths.
+  ingestTree(tree, prefix = '', keep = () => false) {
+    const changes = [];
+    this.walkTree(tree, prefix, changes, keep);
+    this.emit('snapshot', changes);
+    return changes;
+  }
+
+  walkTree(node, prefix, changes, keep) {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    for (const [key, value] of Object.entries(node.values || {})) {
+      if (value === null || typeof value === 'object') {
+        continue;
+      }
+      const path = prefix + key;
+      if (keep(path)) {
+        continue;
+      }
+      const oldValue = this.values.get(path);
+      if (oldValue !== value || !this.values.has(path)) {
+        this.values.set(path, value);
+        changes.push({ path, value, oldValue });
+      }
+    }
+
+    for (const [key, child] of Object.entries(node.children || {})) {
+      this.walkTree(child, `${prefix}${key}/`, changes, keep);
+    }
+  }
+
+  // Calls callback(path, value, oldValue, captures) whenever a matching path changes through set().
+  // Returns a function that removes the subscription.
+  subscribe(pattern, callback) {
+    const subscription = { regex: compilePattern(pattern), callback };
+    this.subscriptions.push(subscription);
+    return () => {
+      this.subscriptions = this.subscriptions.filter((s) => s !== subscription);
+    };
+  }
+
+  notify(path, value, oldValue) {
+    for (const { regex, callback } of this.subscriptions) {
+      const match = path.match(regex);
+      if (match) {
+        callback(path, value, oldValue, match.slice(1));
+      }
+    }
+  }
+}
+
+module.exports = { ParameterStore, compilePattern };
@@ -0,0 +1,352 @@
+// test/instance.test.js
+// Drives UCControlInstance against tools/uc-simulator.js on localhost. The module always connects
+// to port 49162, so these tests need that port free and run one at a time.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const { join } = require('path');
+const { UCSimulator } = require('../tools/uc-simulator');
+const { decodePacket, encodePacket } = require('../protocol');
+const { loadInstanceClass, waitFor } = require('./support/instance');
+
+const UCControlInstance = loadInstanceClass();
+const DEVICE = { a: 0x66, b: 0x68 };
+
+// Starts a simulator and an instance subscribed to it; both are stopped when the test ends
+async function connect(t, simulatorOptions = {}, config = {}) {
+  const simulator = new UCSimulator(simulatorOptions);
+  await simulator.start();
+  const instance = new UCControlInstance();
+  t.after(async () => {
+    await instance.destroy();
+    await simulator.stop();
+  });
+  await instance.init({ device: 'manual', host: '127.0.0.1', deviceAddress: 'auto', ...config });
+  await waitFor(() => instance.store.has('line/ch1/mute'), 3000, 'the snapshot');
+  return { simulator, instance };
+}
+
+test('subscribes and loads the snapshot into variables and feedbacks', async (t) => {
+  const { simulator, instance } = await connect(t);
+  simulator.setParameter('line/ch1/username', 'Kick');
+  await waitFor(() => instance.variableValues.ch1_name === 'Kick', 1000, 'the name');
+  assert.strictEqual(instance.lastStatus.status, 'ok');
+  assert.strictEqual(instance.variableValues.device_name, 'UC Simulator');
+  assert.deepStrictEqual(instance.checkFeedback('channel_mute_state', { channel: 1, mutedColor: 1, unmutedColor: 2 }), {
+    bgcolor: 2,
+  });
+});
+
+test('actions write to the console and feedbacks follow the echo', async (t) => {
+  const { simulator, instance } = await connect(t);
+  await instance.runAction('toggle_channel_mute', { channel: 2 });
+  await waitFor(() => simulator.getParameter('line/ch2/mute') === 1, 1000, 'the mute');
+  assert.deepStrictEqual(instance.checkFeedback('channel_mute_state', { channel: 2, mutedColor: 1, unmutedColor: 2 }), {
+    bgcolor: 1,
+  });
+
+  await instance.runAction('batch_channel_flag', { channels: '3-5', flag: 'solo', mode: 'on' });
+  await waitFor(() => [3, 4, 5].every((n) => simulator.getParameter(`line/ch${n}/solo`) === 1), 1000, 'the solos');
+  assert.strictEqual(simulator.getParameter('line/ch6/solo'), 0);
+});
+
+test('changes made on the console reach the store and variables', async (t) => {
+  const { simulator, instance } = await connect(t);
+  simulator.setParameter('line/ch1/preampgain', 0.5);
+  await waitFor(() => instance.variableValues.ch1_gain === '30.0', 1000, 'the gain variable');
+  assert.strictEqual(instance.checkFeedback('channel_gain_above', { channel: 1, threshold: 20 }), true);
+});
+
+test('reconnects and resubscribes after the connection drops', async (t) => {
+  const { simulator, instance } = await connect(t);
+  const subscribes = [];
+  simulator.on('packet', (packet) => {
+    if (packet.type === 'JM' && packet.message && packet.message.id === 'Subscribe') {
+      subscribes.push(packet);
+    }
+  });
+  simulator.dropClients();
+  await waitFor(() => instance.lastStatus.status === 'disconnected', 1000, 'the disconnect');
+  await waitFor(() => subscribes.length === 1 && instance.lastStatus.status === 'ok', 5000, 'the new session');
+
+  simulator.setParameter('line/ch1/mute', 1);
+  await waitFor(() => instance.store.get('line/ch1/mute') === 1, 1000, 'an update on the new session');
+});
+
+test('a failing store subscriber does not lose the rest of a chunk', async (t) => {
+  const { simulator, instance } = await connect(t);
+  instance.store.subscribe('line/ch1/mute', () => {
+    throw new Error('boom');
+  });
+  const [client] = simulator.clients;
+  client.socket.write(
+    Buffer.concat([
+      encodePacket('PV', DEVICE, { name: 'line/ch1/mute', value: 1 }),
+      encodePacket('PV', DEVICE, { name: 'line/ch2/mute', value: 1 }),
+    ])
+  );
+  await waitFor(() => instance.store.get('line/ch2/mute') === 1, 1000, 'the second update');
+  assert.ok(instance.logs.some(({ level, message }) => level === 'error' && message.includes('boom')));
+});
+
+test('the simulator ignores a JSON message without a payload', async (t) => {
+  const { simulator, instance } = await connect(t);
+  instance.sendPacket(encodePacket('JM', { a: 0x68, b: 0x66 }, { message: null }));
+  await instance.runAction('toggle_channel_mute', { channel: 1 });
+  await waitFor(() => simulator.getParameter('line/ch1/mute') === 1, 1000, 'the mute after the bad message');
+});
+
+test('lists every device the connected host announces', async (t) => {
+  const { instance } = await connect(t);
+  const announce = (address, serial, name, ip) =>
+    instance.handleDiscoveryData(
+      encodePacket('DA', { a: address, b: 0 }, { port: 49162, model: 'Test', deviceClass: 'AUD', serial, name }),
+      { address: ip }
+    );
+  announce(0x66, 'SER1', 'Quantum', '127.0.0.1');
+  announce(0x67, 'SER2', 'StudioLive', '127.0.0.1');
+  announce(0x66, 'SER3', 'Elsewhere', '10.0.0.9');
+  const labels = () => instance.getHostDeviceChoices().map((choice) => choice.label);
+  assert.deepStrictEqual(labels(), ['First device to answer', 'Quantum (address 102)', 'StudioLive (address 103)']);
+
+  await instance.configUpdated({ ...instance.config, host: '10.0.0.9' });
+  assert.deepStrictEqual(labels(), ['First device to answer', 'Elsewhere (address 102)']);
+});
+
+test('moving a fader on the console stops a running fade', async (t) => {
+  const { simulator, instance } = await connect(t);
+  await instance.runAction('fade_fader_level', { bus: 'line', channel: 1, level: -60, duration: 1000, curve: 'linear' });
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  simulator.setParameter('line/ch1/volume', 0.9);
+  await waitFor(() => !instance.activeFades['line/ch1/volume'], 500, 'the fade to stop');
+  await new Promise((resolve) => setTimeout(resolve, 1000));
+  // Values travel as 32-bit floats
+  assert.strictEqual(Math.fround(simulator.getParameter('line/ch1/volume')), Math.fround(0.9));
+  assert.strictEqual(Math.fround(instance.store.get('line/ch1/volume')), Math.fround(0.9));
+});
+
+test('a fade step landing after a console move is undone', async (t) => {
+  const { simulator, instance } = await connect(t);
+  await instance.runAction('fade_fader_level', { bus: 'line', channel: 1, level: -60, duration: 1000, curve: 'linear' });
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  // Hold back the module's writes, so the steps in flight reach the console only after the move
+  const held = [];
+  const handlePacket = simulator.handlePacket.bind(simulator);
+  simulator.handlePacket = (client, packet) => (packet.type === 'PV' ? held.push([client, packet]) : handlePacket(client, packet));
+  await new Promise((resolve) => setTimeout(resolve, 120));
+  simulator.setParameter('line/ch1/volume', 0.9);
+  await waitFor(() => !instance.activeFades['line/ch1/volume'], 500, 'the fade to stop');
+  simulator.handlePacket = handlePacket;
+  assert.ok(held.length > 0);
+  for (const [client, packet] of held) {
+    handlePacket(client, packet);
+  }
+  await waitFor(() => Math.fround(simulator.getParameter('line/ch1/volume')) === Math.fround(0.9), 1000, 'the console value to return');
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  assert.strictEqual(Math.fround(simulator.getParameter('line/ch1/volume')), Math.fround(0.9));
+});
+
+test('reconnects when UC ends the session', async (t) => {
+  const { simulator, instance } = await connect(t);
+  const [client] = simulator.clients;
+  simulator.send(client, 'JM', { message: { id: 'Unsubscribe', reason: 'host shutting down' } });
+  await waitFor(() => instance.lastStatus.status === 'disconnected', 1000, 'the disconnect');
+  await waitFor(() => simulator.clients.size === 1 && instance.lastStatus.status === 'ok', 5000, 'the new session');
+});
+
+test('stays off when another client takes over the session', async (t) => {
+  const { simulator, instance } = await connect(t, {}, { clientIdentifier: 'SHARED' });
+  const other = new (loadInstanceClass())();
+  t.after(() => other.destroy());
+  await other.init({ device: 'manual', host: '127.0.0.1', deviceAddress: 'auto', clientIdentifier: 'SHARED' });
+  await waitFor(() => instance.lastStatus.status === 'connection_failure', 2000, 'the takeover');
+  assert.match(instance.lastStatus.message, /Session taken over/);
+  await new Promise((resolve) => setTimeout(resolve, 1500));
+  assert.strictEqual(other.lastStatus.status, 'ok');
+  assert.strictEqual(instance.lastStatus.status, 'connection_failure');
+  assert.strictEqual(simulator.clients.size, 1);
+});
+
+test('a replay stops cleanly at a frame that cannot be processed', async (t) => {
+  const { instance } = await connect(t);
+  const file = join(os.tmpdir(), `uc-replay-${process.pid}.jsonl`);
+  // A JSON message whose closing brace was lost
+  const corrupt = encodePacket('JM', DEVICE, { message: { id: 'Subscribe' } });
+  corrupt[corrupt.length - 1] = 0x20;
+  const frames = [
+    { time: 1, direction: 'in', transport: 'tcp', data: encodePacket('PV', DEVICE, { name: 'line/ch7/mute', value: 1 }).toString('hex') },
+    { time: 2, direction: 'in', transport: 'tcp', data: corrupt.toString('hex') },
+    { time: 3, direction: 'in', transport: 'tcp', data: encodePacket('PV', DEVICE, { name: 'line/ch8/mute', value: 1 }).toString('hex') },
+  ];
+  fs.writeFileSync(file, frames.map((frame) => JSON.stringify(frame)).join('\n'));
+  t.after(() => fs.unlinkSync(file));
+
+  await instance.runAction('replay_capture', { file, speed: 'realtime' });
+  await waitFor(() => instance.logs.some(({ message }) => message.startsWith('Replay stopped at frame 2 of 3')), 1000, 'the replay to stop');
+  assert.strictEqual(instance.store.get('line/ch7/mute'), 1);
+  assert.strictEqual(instance.store.get('line/ch8/mute'), 0);
+  assert.strictEqual(instance.replayTimer, null);
+});
+
+test('meters and gain reduction are cleared when the link drops', async (t) => {
+  const { simulator, instance } = await connect(t);
+  simulator.sendMeters();
+  await waitFor(() => instance.meters.input.length > 0 && instance.gainReduction.comp.length > 0, 1000, 'meter data');
+  instance.checkedFeedbacks = [];
+  simulator.dropClients();
+  await waitFor(() => instance.meters.input.length === 0, 1000, 'the meters to clear');
+  assert.strictEqual(instance.gainReduction.comp.length, 0);
+  assert.strictEqual(instance.checkFeedback('channel_gain_reduction', { channel: 1, block: 'comp', threshold: 0 }), false);
+  assert.ok(instance.checkedFeedbacks.some((ids) => ids.includes('meter_bar')));
+});
+
+test('meters are cleared when meter data stops', async (t) => {
+  const { simulator, instance } = await connect(t);
+  simulator.sendMeters();
+  await waitFor(() => instance.meters.input.length > 0, 1000, 'meter data');
+  await waitFor(() => instance.meters.input.length === 0, 2000, 'the meters to clear');
+  assert.deepStrictEqual(instance.checkFeedback('meter_bar', { meterType: 'input', channel: 1, position: 'right' }), {});
+});
+
+test('a sync loss first seen in a resync snapshot is logged', async (t) => {
+  const { simulator, instance } = await connect(t);
+  simulator.tree.children.global.values.syncLock = 0;
+  await instance.requestSnapshot();
+  assert.ok(instance.logs.some(({ level, message }) => level === 'warn' && message === 'Device lost clock sync'));
+  assert.strictEqual(instance.checkFeedback('sync_lost', {}), true);
+  assert.strictEqual(instance.variableValues.sync_locked, false);
+});
+
+test('model and serial fall back to the discovery announcement', async (t) => {
+  const { instance } = await connect(t, {}, { device: 'HQ42' });
+  instance.store.delete('global/model');
+  instance.store.delete('global/serial');
+  instance.handleDiscoveryData(
+    encodePacket('DA', DEVICE, { port: 49162, model: 'Quantum HD 8', deviceClass: 'AUD', serial: 'HQ42', name: 'Studio' }),
+    { address: '127.0.0.1' }
+  );
+  assert.strictEqual(instance.variableValues.device_model, 'Quantum HD 8');
+  assert.strictEqual(instance.variableValues.device_serial, 'HQ42');
+});
+
+test('parameter feedbacks are only checked for the paths they watch', async (t) => {
+  const { simulator, instance } = await connect(t);
+  const options = { path: 'line/ch3/mute', comparison: 'eq', value: '1' };
+  instance.feedbacks.parameter_value.subscribe({ id: 'fb1', options });
+  instance.checkedFeedbacks = [];
+  simulator.setParameter('line/ch4/mute', 1);
+  simulator.setParameter('line/ch3/mute', 1);
+  await waitFor(() => instance.store.get('line/ch3/mute') === 1, 1000, 'the update');
+  assert.deepStrictEqual(
+    instance.checkedFeedbacks.filter((ids) => ids.includes('#fb1') || ids.includes('parameter_value')),
+    [['#fb1']]
+  );
+  assert.strictEqual(instance.checkFeedback('parameter_value', options), true);
+});
+
+test('new paths re-publish the path dropdowns once they settle', async (t) => {
+  const { simulator, instance } = await connect(t);
+  // Let the snapshot's own update go through first
+  await waitFor(() => !instance.pathChoicesTimer, 3000, 'the snapshot choices');
+  let published = 0;
+  const setActionDefinitions = instance.setActionDefinitions;
+  instance.setActionDefinitions = (actions) => {
+    published++;
+    setActionDefinitions.call(instance, actions);
+  };
+  for (let n = 1; n <= 20; n++) {
+    simulator.setParameter(`line/ch1/custom${n}`, n);
+  }
+  await waitFor(() => instance.store.has('line/ch1/custom20'), 1000, 'the new paths');
+  assert.strictEqual(published, 0);
+  await waitFor(() => published > 0, 3000, 'the re-publish');
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.strictEqual(published, 1);
+  assert.ok(instance.getParameterPathChoices().some((choice) => choice.id === 'line/ch1/custom20'));
+});
+
+test('the path dropdowns list at most 500 paths', async (t) => {
+  const { instance } = await connect(t);
+  for (let n = 1; n <= 600; n++) {
+    instance.store.set(`line/ch1/extra${n}`, n);
+  }
+  assert.strictEqual(instance.getParameterPathChoices().length, 500);
+});
+
+test('a resync does not report writes still in flight as drift', async (t) => {
+  const { simulator, instance } = await connect(t);
+  simulator.tree.children.line.children.ch5.values.solo = 1;
+  // Written but not echoed yet: the console has not answered when the snapshot arrives
+  instance.sendPacket = () => {};
+  instance.writeParameter('line/ch6/mute', 1);
+  delete instance.sendPacket;
+  await instance.requestSnapshot();
+  assert.strictEqual(instance.lastResync.paths, 'line/ch5/solo');
+  assert.strictEqual(instance.lastResync.changes, 1);
+  assert.strictEqual(instance.store.get('line/ch6/mute'), 1);
+});
+
+test('an unconfirmed write stays put without Confirm Writes', async (t) => {
+  const { instance } = await connect(t);
+  const sent = [];
+  instance.sendPacket = (packet) => sent.push(decodePacket(packet).type);
+  instance.writeParameter('line/ch6/mute', 1);
+  await new Promise((resolve) => setTimeout(resolve, 1200));
+  assert.deepStrictEqual(sent.filter((type) => type === 'PV'), ['PV']);
+  assert.strictEqual(instance.store.get('line/ch6/mute'), 1);
+  assert.strictEqual(instance.isWriteUnconfirmed(null, true), false);
+});
+
+test('Confirm Writes resends and then rolls back an unconfirmed write', async (t) => {
+  const { instance } = await connect(t, {}, { confirmWrites: true });
+  const sent = [];
+  instance.sendPacket = (packet) => sent.push(decodePacket(packet).type);
+  instance.writeParameter('line/ch6/mute', 1);
+  await waitFor(() => instance.isWriteUnconfirmed('line/ch6/mute'), 4000, 'the rollback');
+  assert.deepStrictEqual(sent.filter((type) => type === 'PV'), ['PV', 'PV', 'PV']);
+  assert.strictEqual(instance.store.get('line/ch6/mute'), 0);
+});
+
+test('a reset goes through while the current trim is unknown', async (t) => {
+  const { instance } = await connect(t);
+  instance.store.delete('line/ch2/trim');
+  await instance.runAction('reset_channel_control', { channel: 2, control: 'trim' });
+  assert.strictEqual(instance.store.get('line/ch2/trim'), 0.5);
+  await instance.runAction('set_channel_control', { channel: 3, control: 'trim', value: -12 });
+  await instance.runAction('reset_channel_control', { channel: 3, control: 'trim' });
+  assert.strictEqual(instance.store.get('line/ch3/trim'), 0.5);
+});
+
+test('stored Fat Channel settings are kept in their config field', async (t) => {
+  const { instance } = await connect(t, {}, { fatChannelSlots: { Old: { 'comp/ratio': 0.8 } } });
+  await instance.runAction('store_fat_channel', { channel: 1, slot: 'Vocal', sections: ['comp'] });
+  assert.strictEqual(typeof instance.config.fatChannelSlots, 'string');
+  assert.deepStrictEqual(Object.keys(instance.getFatChannelSlots()), ['Old', 'Vocal']);
+  await instance.runAction('recall_fat_channel', { slot: 'Old', channels: '2' });
+  assert.strictEqual(instance.store.get('line/ch2/comp/ratio'), 0.8);
+});
+
+test('destroy gives up on a snapshot that is still on its way', async (t) => {
+  const { instance } = await connect(t);
+  instance.sendPacket = () => {};
+  const request = instance.requestSnapshot();
+  await instance.destroy();
+  assert.strictEqual(await request, false);
+  assert.strictEqual(instance.snapshotTimer, null);
+});
+
+test('a channel first reported through PV gets presets', async (t) => {
+  const { simulator, instance } = await connect(t);
+  simulator.setParameter('line/ch9/volume', 0.5);
+  await waitFor(() => 'ch9_fader' in instance.presets, 3000, 'the channel 9 presets');
+  assert.ok(instance.variableChannels.includes(9));
+});
+
+test('the active scene is forgotten when the link drops', async (t) => {
+  const { simulator, instance } = await connect(t);
+  instance.activePreset.scene = 'Band';
+  simulator.dropClients();
+  await waitFor(() => instance.activePreset.scene === '', 1000, 'the active scene to clear');
+  assert.strictEqual(instance.variableValues.active_scene, '');
+});
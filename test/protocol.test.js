@@ -0,0 +1,181 @@
+// test/protocol.test.js
+// Round trips for the UC codec. Neither fixture comes from a real console: synthetic-frames.json
+// holds one hand-built frame per packet type, following the wire format this codec implements, and
+// simulator-session.jsonl is a capture (see capture.js) of the module talking to tools/uc-simulator.js.
+const test = require('node:test');
+const assert = require('node:assert');
+const { join } = require('path');
+const { PacketReader, ProtocolError, encodePacket, decodePacket, decodePackets } = require('../protocol');
+const { readCapture } = require('../capture');
+
+const frames = Object.fromEntries(
+  Object.entries(require('./fixtures/synthetic-frames.json')).map(([type, hex]) => [type, Buffer.from(hex, 'hex')])
+);
+
+// The fields each fixture frame decodes to, besides type and address pair
+const expected = {
+  UM: { addressPair: { a: 0, b: 0x66 }, fields: { udpPort: 52001 } },
+  JM: {
+    addressPair: { a: 0x68, b: 0x66 },
+    fields: {
+      message: {
+        id: 'Subscribe',
+        clientName: 'Companion',
+        clientInternalName: 'ucremoteapp',
+        clientType: 'iPhone',
+        clientDescription: 'iPhone',
+        clientIdentifier: 'c0ffee',
+        clientOptions: '',
+        clientEncoding: 23117,
+      },
+    },
+  },
+  KA: { addressPair: { a: 0x68, b: 0x66 }, fields: {} },
+  PV: { addressPair: { a: 0x66, b: 0x68 }, fields: { name: 'line/ch1/mute', value: 1 } },
+  PS: { addressPair: { a: 0x66, b: 0x68 }, fields: { name: 'line/ch1/username', value: 'Kick' } },
+  PL: { addressPair: { a: 0x66, b: 0x68 }, fields: { name: 'presets/scene', values: ['Band', 'Speech'] } },
+  ZM: {
+    addressPair: { a: 0x66, b: 0x68 },
+    fields: {
+      tree: {
+        values: { name: 'Quantum HD 8' },
+        children: { global: { values: { mixerBypass: 0 } }, line: { children: { ch1: { values: { mute: 1, username: 'Kick' } } } } },
+      },
+    },
+  },
+  FR: { addressPair: { a: 0x68, b: 0x66 }, fields: { requestId: 1, path: 'Listpresets/proj' } },
+  FD: { addressPair: { a: 0x66, b: 0x68 }, fields: { requestId: 1, content: Buffer.from('Sunday Service\nRehearsal') } },
+  BO: { addressPair: { a: 0x66, b: 0x68 }, fields: { id: 7, content: Buffer.from([1, 2, 3, 4]) } },
+  MS: {
+    addressPair: { a: 0x66, b: 0x68 },
+    fields: {
+      blocks: [
+        { id: 'levl', values: [0, 0x1000, 0x8000, 0xffff] },
+        { id: 'cprd', values: [0x0400, 0] },
+      ],
+    },
+  },
+  DA: {
+    addressPair: { a: 0x66, b: 0 },
+    fields: { port: 49162, model: 'Quantum HD 8', deviceClass: 'AUD', serial: 'HQ1234567', name: 'Studio' },
+  },
+};
+
+// Everything decodePacket adds besides the framing, i.e. what encodePacket takes
+function fieldsOf(packet) {
+  const { type, addressPair, data, size, ...fields } = packet;
+  return fields;
+}
+
+// Deflate output depends on the zlib build, so ZM is compared after decoding it again
+function assertReencodes(packet, bytes) {
+  const encoded = encodePacket(packet.type, packet.addressPair, fieldsOf(packet));
+  if (packet.type === 'ZM') {
+    assert.deepStrictEqual(fieldsOf(decodePacket(encoded)), fieldsOf(packet));
+    assert.deepStrictEqual(encoded.slice(0, 4), bytes.slice(0, 4));
+    assert.deepStrictEqual(encoded.slice(6, 16), bytes.slice(6, 16));
+  } else {
+    assert.deepStrictEqual(encoded, bytes);
+  }
+}
+
+for (const [type, { addressPair, fields }] of Object.entries(expected)) {
+  test(`${type} fixture decodes and re-encodes to the same bytes`, () => {
+    const frame = frames[type];
+    const packet = decodePacket(frame);
+    assert.strictEqual(packet.type, type);
+    assert.deepStrictEqual(packet.addressPair, addressPair);
+    assert.strictEqual(packet.size, frame.length);
+    assert.deepStrictEqual(fieldsOf(packet), fields);
+    assertReencodes(packet, frame);
+  });
+}
+
+test('every frame of a simulator session round-trips', () => {
+  const capture = readCapture(join(__dirname, 'fixtures', 'simulator-session.jsonl'));
+  const types = new Set();
+  for (const direction of ['in', 'out']) {
+    for (const transport of ['tcp', 'udp']) {
+      // TCP chunks are one stream per direction; UDP datagrams stand alone
+      const stream = Buffer.concat(capture.filter((f) => f.direction === direction && f.transport === transport).map((f) => f.data));
+      const reader = new PacketReader(() => assert.fail('capture holds bytes outside a packet'));
+      let offset = 0;
+      for (const { packet, error } of reader.push(stream)) {
+        assert.ifError(error);
+        types.add(packet.type);
+        assertReencodes(packet, stream.slice(offset, offset + packet.size));
+        offset += packet.size;
+      }
+      assert.strictEqual(offset, stream.length);
+    }
+  }
+  for (const frame of capture.filter((f) => f.transport === 'udp')) {
+    assert.strictEqual(decodePackets(frame.data).reduce((size, packet) => size + packet.size, 0), frame.data.length);
+  }
+  for (const type of ['UM', 'JM', 'PV', 'PS', 'ZM', 'FR', 'FD', 'MS']) {
+    assert.ok(types.has(type), `capture has no ${type} packet`);
+  }
+});
+
+test('PacketReader reassembles a packet split across chunks', () => {
+  const stream = Buffer.concat([frames.PV, frames.ZM, frames.PS]);
+  // Every possible split point, including inside the 'UC' magic and the size field
+  for (let split = 1; split < stream.length; split++) {
+    const reader = new PacketReader();
+    const results = [...reader.push(stream.slice(0, split)), ...reader.push(stream.slice(split))];
+    assert.deepStrictEqual(
+      results.map(({ packet }) => packet.type),
+      ['PV', 'ZM', 'PS'],
+      `split at byte ${split}`
+    );
+  }
+});
+
+test('PacketReader handles a stream fed one byte at a time', () => {
+  const reader = new PacketReader();
+  const types = [];
+  for (const byte of Buffer.concat([frames.JM, frames.KA])) {
+    types.push(...reader.push(Buffer.from([byte])).map(({ packet }) => packet.type));
+  }
+  assert.deepStrictEqual(types, ['JM', 'KA']);
+});
+
+test('PacketReader returns every packet of a merged chunk', () => {
+  const reader = new PacketReader();
+  const results = reader.push(Buffer.concat([frames.PV, frames.PS, frames.FD, frames.KA]));
+  assert.deepStrictEqual(
+    results.map(({ packet }) => packet.type),
+    ['PV', 'PS', 'FD', 'KA']
+  );
+  assert.strictEqual(reader.buffer.length, 0);
+});
+
+test('PacketReader skips garbage and keeps the packets around a bad one', () => {
+  const discarded = [];
+  const reader = new PacketReader((count, reason) => discarded.push(reason));
+  const badJSON = Buffer.from(frames.JM);
+  badJSON[20] = 0x7d; // '}' inside the JSON text
+  const results = reader.push(Buffer.concat([Buffer.from('noise'), frames.PV, badJSON, frames.PS]));
+  assert.strictEqual(results[0].packet.type, 'PV');
+  assert.ok(results[1].error instanceof ProtocolError);
+  assert.strictEqual(results[1].error.code, 'BAD_BODY');
+  assert.strictEqual(results[2].packet.type, 'PS');
+  assert.deepStrictEqual(discarded, ["bytes before 'UC' header"]);
+});
+
+test('a truncated meter block keeps the blocks before it', () => {
+  const body = frames.MS.slice(12);
+  const short = encodePacket('MS', { a: 0x66, b: 0x68 }, { blocks: [] });
+  const packet = decodePacket(
+    Buffer.concat([short.slice(0, 4), Buffer.from([body.length - 2 + 6, 0]), short.slice(6), body.slice(0, -2)])
+  );
+  assert.deepStrictEqual(packet.blocks, [{ id: 'levl', values: [0, 0x1000, 0x8000, 0xffff] }]);
+  assert.strictEqual(packet.truncated, 'cprd');
+});
+
+test('errors carry a code', () => {
+  assert.throws(() => decodePacket(frames.PV.slice(0, 4)), { name: 'ProtocolError', code: 'TRUNCATED' });
+  assert.throws(() => decodePacket(frames.PV.slice(0, -2)), { code: 'TRUNCATED' });
+  assert.throws(() => decodePacket(Buffer.concat([Buffer.from('XX'), frames.PV.slice(2)])), { code: 'BAD_MAGIC' });
+  assert.throws(() => encodePacket('QQ', { a: 0, b: 0 }), { code: 'UNKNOWN_TYPE' });
+});
@@ -0,0 +1,113 @@
+// test/support/instance.js
+// Loads the module with a stand-in for @companion-module/base, so UCControlInstance can run inside
+// the test process. The stand-in records what the instance reports to Companion.
+const Module = require('module');
+const base = require('@companion-module/base');
+
+class TestInstanceBase {
+  constructor() {
+    this.logs = [];
+    this.statuses = [];
+    this.variableValues = {};
+    this.checkedFeedbacks = [];
+    this.actions = {};
+    this.feedbacks = {};
+    this.presets = {};
+  }
+
+  get label() {
+    return 'uc';
+  }
+
+  log(level, message) {
+    this.logs.push({ level, message });
+  }
+
+  updateStatus(status, message) {
+    this.statuses.push({ status, message });
+  }
+
+  setActionDefinitions(actions) {
+    this.actions = actions;
+  }
+
+  setFeedbackDefinitions(feedbacks) {
+    this.feedbacks = feedbacks;
+  }
+
+  setVariableDefinitions() {}
+
+  setPresetDefinitions(presets) {
+    this.presets = presets;
+  }
+
+  setVariableValues(values) {
+    Object.assign(this.variableValues, values);
+  }
+
+  checkFeedbacks(...ids) {
+    this.checkedFeedbacks.push(ids);
+  }
+
+  checkFeedbacksById(...ids) {
+    this.checkedFeedbacks.push(ids.map((id) => `#${id}`));
+  }
+
+  saveConfig(config) {
+    this.config = config;
+  }
+
+  // Runs an action the way Companion does
+  runAction(actionId, options) {
+    return this.actions[actionId].callback({ actionId, options }, { parseVariablesInString: async (text) => text });
+  }
+
+  checkFeedback(feedbackId, options) {
+    return this.feedbacks[feedbackId].callback({ feedbackId, options });
+  }
+
+  get lastStatus() {
+    return this.statuses[this.statuses.length - 1] || {};
+  }
+}
+
+let instanceClass = null;
+const stub = {
+  ...base,
+  InstanceBase: TestInstanceBase,
+  runEntrypoint: (cls) => {
+    instanceClass = cls;
+  },
+};
+
+function loadInstanceClass() {
+  if (!instanceClass) {
+    const load = Module._load;
+    Module._load = function (request, ...rest) {
+      return request === '@companion-module/base' ? stub : load.call(this, request, ...rest);
+    };
+    try {
+      require('../../index');
+    } finally {
+      Module._load = load;
+    }
+  }
+  return instanceClass;
+}
+
+// Resolves once check() returns something truthy, fails after timeout ms
+async function waitFor(check, timeout = 3000, description = 'condition') {
+  const start = Date.now();
+  for (;;) {
+    const result = check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() - start > timeout) {
+      throw new Error(`Timed out waiting for ${description}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+module.exports = { loadInstanceClass, waitFor };
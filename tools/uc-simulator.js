@@ -0,0 +1,383 @@
+// tools/uc-simulator.js
+// Stand-in for a Universal Control host, for developing the module without a console on the
+// network. Speaks the UC protocol on TCP 49162: answers UM/JM/KA, serves a ZM snapshot on
+// subscribe, applies PV/PS writes and echoes them to every subscriber, and can push scripted
+// changes as if someone moved a control on the device. Like UC it keeps one session per client
+// identifier.
+//
+//   node tools/uc-simulator.js [--port 49162] [--host 127.0.0.1] [--snapshot state.json]
+//                              [--script changes.json] [--meters] [--announce]
+//
+// The parameters listed under Unverified parameters in companion/HELP.md are served the way the
+// module assumes them, so they are no evidence of what a real device reports.
+//
+// The snapshot file is a UC tree ({ values, children }). The script file is a list of
+// { "delay": ms, "path": "line/ch1/mute", "value": 1 } steps, run in order once a client subscribes.
+const net = require('net');
+const dgram = require('dgram');
+const fs = require('fs');
+const EventEmitter = require('events');
+const { encodePacket, PacketReader } = require('../protocol');
+
+const UC_TCP_PORT = 49162;
+const UC_DISCOVERY_PORT = 47809;
+const DEVICE_ADDRESS = 0x66;
+const METER_INTERVAL = 100;
+const ANNOUNCE_INTERVAL = 3000;
+
+// A small StudioLive-like mixer: 8 inputs, 4 aux buses, 2 DCAs and a main fader
+function defaultSnapshot() {
+  const line = {};
+  for (let i = 1; i <= 8; i++) {
+    const values = { username: `Ch ${i}`, color: '#808080ff', mute: 0, solo: 0, '48v': 0, hpf: 0, pad: 0, volume: 0.7 };
+    // Unverified gain, trim and pan paths
+    Object.assign(values, { preampgain: 0.4, trim: 0.5, pan: 0.5 });
+    for (let aux = 1; aux <= 4; aux++) {
+      values[`aux${aux}`] = 0;
+      values[`aux${aux}_mute`] = 0;
+    }
+    line[`ch${i}`] = {
+      values,
+      // Unverified Fat Channel paths
+      children: {
+        filter: { values: { hpf: 0.35 } },
+        gate: { values: { on: 0, threshold: 0.2, range: 0.5 } },
+        comp: { values: { on: 1, threshold: 0.6, ratio: 0.3, model: 'Standard' } },
+        eq: { values: { eqallon: 1, eqgain1: 0.5, eqfreq1: 0.3 } },
+        limit: { values: { limiteron: 0, threshold: 0.9 } },
+      },
+    };
+  }
+
+  const aux = {};
+  for (let i = 1; i <= 4; i++) {
+    aux[`ch${i}`] = { values: { username: `Aux ${i}`, mute: 0, volume: 0.7 } };
+  }
+
+  return {
+    values: { name: 'UC Simulator' },
+    children: {
+      global: {
+        values: {
+          devicename: 'UC Simulator',
+          mixerBypass: 0,
+          // System status, unverified paths: 48 kHz on the internal clock, locked
+          sampleRate: 1,
+          clockSource: 0,
+          syncLock: 1,
+          firmwareVersion: '1.2.3',
+          model: 'UC Simulator',
+          serial: 'SIM0001',
+          // Quantum-style monitor section, unverified paths
+          monitorLevel: 0.75,
+          monitorDim: 0,
+          monitorMute: 0,
+          monitorMono: 0,
+          talkback: 0,
+          speakerSelect: 0,
+          phones1Level: 0.75,
+          phones1Source: 0,
+          phones2Level: 0.75,
+          phones2Source: 0,
+        },
+      },
+      line: { children: line },
+      aux: { children: aux },
+      filtergroup: { children: { ch1: { values: { mute: 0, volume: 0.7 } }, ch2: { values: { mute: 0, volume: 0.7 } } } },
+      main: { children: { ch1: { values: { mute: 0, volume: 0.7 } } } },
+    },
+  };
+}
+
+class UCSimulator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.port = options.port !== undefined ? options.port : UC_TCP_PORT;
+    this.host = options.host || '127.0.0.1';
+    this.deviceAddress = options.deviceAddress || DEVICE_ADDRESS;
+    this.tree = options.snapshot || defaultSnapshot();
+    this.presets = options.presets || { proj: ['Sunday Service'], scene: ['Band', 'Speech'] };
+    this.script = options.script || [];
+    this.meters = !!options.meters;
+    this.announce = !!options.announce;
+    this.serial = options.serial || 'SIM0001';
+    this.log = options.log || (() => {});
+
+    this.clients = new Set();
+    this.scriptTimer = null;
+    this.meterTimer = null;
+    this.announceTimer = null;
+    this.server = null;
+    this.udpSocket = null;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer((socket) => this.handleConnection(socket));
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        this.udpSocket = dgram.createSocket('udp4');
+        this.udpSocket.bind(() => {
+          this.udpSocket.setBroadcast(true);
+          if (this.meters) {
+            this.meterTimer = setInterval(() => this.sendMeters(), METER_INTERVAL);
+          }
+          if (this.announce) {
+            this.announceTimer = setInterval(() => this.sendAnnouncement(), ANNOUNCE_INTERVAL);
+            this.sendAnnouncement();
+          }
+          this.log(`Listening on ${this.host}:${this.port}`);
+          resolve(this);
+        });
+      });
+    });
+  }
+
+  stop() {
+    clearTimeout(this.scriptTimer);
+    clearInterval(this.meterTimer);
+    clearInterval(this.announceTimer);
+    this.dropClients();
+    if (this.udpSocket) {
+      this.udpSocket.close();
+      this.udpSocket = null;
+    }
+    return new Promise((resolve) => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  // Closes every client connection, e.g. to exercise the module's reconnect logic
+  dropClients() {
+    for (const client of this.clients) {
+      client.socket.destroy();
+    }
+    this.clients.clear();
+  }
+
+  handleConnection(socket) {
+    const client = { socket, udpPort: null, subscribed: false, clientIdentifier: null, reader: new PacketReader() };
+    this.clients.add(client);
+    this.log(`Client connected from ${socket.remoteAddress}`);
+    this.emit('connection', client);
+
+    socket.on('data', (data) => {
+      for (const { packet, error } of client.reader.push(data)) {
+        if (error) {
+          this.log(`Bad packet from client: ${error.message}`);
+          continue;
+        }
+        this.handlePacket(client, packet);
+      }
+    });
+    socket.on('error', (error) => this.log(`Client error: ${error.message}`));
+    socket.on('close', () => {
+      this.clients.delete(client);
+      this.log('Client disconnected');
+      this.emit('disconnect', client);
+    });
+  }
+
+  handlePacket(client, packet) {
+    this.emit('packet', packet, client);
+
+    switch (packet.type) {
+      case 'UM':
+        client.udpPort = packet.udpPort;
+        break;
+      case 'JM':
+        this.handleJSONMessage(client, packet.message);
+        break;
+      case 'KA':
+        this.send(client, 'KA');
+        break;
+      case 'PV':
+      case 'PS':
+        this.setParameter(packet.name, packet.value, packet.type);
+        break;
+      case 'FR':
+        this.handleFileRequest(client, packet);
+        break;
+      default:
+        this.log(`Ignoring ${packet.type} packet`);
+    }
+  }
+
+  handleJSONMessage(client, message) {
+    if (!message || typeof message !== 'object') {
+      this.log(`Ignoring JSON message without an object payload: ${JSON.stringify(message)}`);
+      return;
+    }
+    if (message.id === 'Subscribe') {
+      if (!message.clientIdentifier) {
+        this.send(client, 'JM', { message: { id: 'SubscriptionReply', accepted: false, error: 'missing clientIdentifier' } });
+        return;
+      }
+      // One session per identity: an older client with the same identifier is dropped
+      for (const other of this.clients) {
+        if (other !== client && other.subscribed && other.clientIdentifier === message.clientIdentifier) {
+          other.subscribed = false;
+          this.send(other, 'JM', { message: { id: 'SubscriptionLost', reason: `replaced by ${message.clientName}` } });
+        }
+      }
+      client.subscribed = true;
+      client.clientIdentifier = message.clientIdentifier;
+      this.log(`Subscribed: ${message.clientName} (${message.clientIdentifier})`);
+      this.send(client, 'JM', { message: { id: 'SubscriptionReply', accepted: true } });
+      this.send(client, 'ZM', { tree: this.tree });
+      this.runScript();
+    } else {
+      this.log(`JSON message ${message.id}: ${JSON.stringify(message)}`);
+    }
+  }
+
+  handleFileRequest(client, packet) {
+    const match = packet.path.match(/^Listpresets\/(\w+)$/);
+    const files = match ? this.presets[match[1]] || [] : [];
+    this.send(client, 'FD', { requestId: packet.requestId, content: files.join('\n') });
+  }
+
+  // Applies a change and echoes it to every subscriber, the way UC reports control moves
+  setParameter(path, value, type = typeof value === 'string' ? 'PS' : 'PV') {
+    setTreeValue(this.tree, path, value);
+    this.log(`${path} = ${value}`);
+    this.emit('change', path, value);
+    for (const client of this.clients) {
+      if (client.subscribed) {
+        this.send(client, type, { name: path, value });
+      }
+    }
+  }
+
+  getParameter(path) {
+    return getTreeValue(this.tree, path);
+  }
+
+  runScript() {
+    if (this.scriptTimer || this.script.length === 0) {
+      return;
+    }
+    const next = (index) => {
+      if (index >= this.script.length) {
+        this.scriptTimer = null;
+        return;
+      }
+      const step = this.script[index];
+      this.scriptTimer = setTimeout(() => {
+        this.setParameter(step.path, step.value);
+        next(index + 1);
+      }, step.delay || 0);
+    };
+    next(0);
+  }
+
+  // Random input levels and compressor gain reduction, sent over UDP like the real meter stream
+  sendMeters() {
+    const values = [];
+    for (let i = 0; i < 8; i++) {
+      values.push(Math.floor(Math.random() * 0x8000));
+    }
+    const reduction = values.map((value) => Math.floor(value / 4));
+    const packet = encodePacket('MS', this.getAddressPair(), {
+      blocks: [
+        { id: 'levl', values },
+        { id: 'cprd', values: reduction },
+      ],
+    });
+    for (const client of this.clients) {
+      if (client.subscribed && client.udpPort) {
+        this.udpSocket.send(packet, client.udpPort, client.socket.remoteAddress);
+      }
+    }
+  }
+
+  sendAnnouncement() {
+    const packet = encodePacket('DA', { a: this.deviceAddress, b: 0 }, {
+      port: this.port,
+      model: 'UC Simulator',
+      deviceClass: 'AUD',
+      serial: this.serial,
+      name: 'UC Simulator',
+    });
+    this.udpSocket.send(packet, UC_DISCOVERY_PORT, '255.255.255.255');
+  }
+
+  getAddressPair() {
+    return { a: this.deviceAddress, b: 0x68 };
+  }
+
+  send(client, type, fields) {
+    if (!client.socket.destroyed) {
+      client.socket.write(encodePacket(type, this.getAddressPair(), fields));
+    }
+  }
+}
+
+function setTreeValue(tree, path, value) {
+  const parts = path.split('/');
+  const key = parts.pop();
+  let node = tree;
+  for (const part of parts) {
+    node.children = node.children || {};
+    node.children[part] = node.children[part] || {};
+    node = node.children[part];
+  }
+  node.values = node.values || {};
+  node.values[key] = value;
+}
+
+function getTreeValue(tree, path) {
+  const parts = path.split('/');
+  const key = parts.pop();
+  let node = tree;
+  for (const part of parts) {
+    node = node && node.children && node.children[part];
+  }
+  return node && node.values ? node.values[key] : undefined;
+}
+
+function parseArgs(argv) {
+  const options = { log: (message) => console.log(`[uc-simulator] ${message}`) };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port':
+        options.port = parseInt(argv[++i], 10);
+        break;
+      case '--host':
+        options.host = argv[++i];
+        break;
+      case '--snapshot':
+        options.snapshot = JSON.parse(fs.readFileSync(argv[++i], 'utf8'));
+        break;
+      case '--script':
+        options.script = JSON.parse(fs.readFileSync(argv[++i], 'utf8'));
+        break;
+      case '--meters':
+        options.meters = true;
+        break;
+      case '--announce':
+        options.announce = true;
+        break;
+      default:
+        throw new Error(`Unknown option ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+if (require.main === module) {
+  const simulator = new UCSimulator(parseArgs(process.argv.slice(2)));
+  simulator.start().catch((error) => {
+    console.error(`[uc-simulator] ${error.message}`);
+    process.exit(1);
+  });
+  process.on('SIGINT', () => simulator.stop().then(() => process.exit(0)));
+}
+
+module.exports = { UCSimulator, defaultSnapshot };